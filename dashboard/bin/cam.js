@@ -21,7 +21,7 @@ if (subcommand === 'web') {
   startWebServer(port);
 } else if (subcommand === 'export') {
   // cam export [sessionId] [--format json|csv|md]
-  const { loadAllSessions } = require('../src/state');
+  const { loadAllSessions, findSession } = require('../src/state');
   const { loadConfig } = require('../src/config');
   const { SummaryManager } = require('../src/summarizer');
   const { saveExport } = require('../src/exporter');
@@ -36,11 +36,12 @@ if (subcommand === 'web') {
 
   let target;
   if (sessionId && !sessionId.startsWith('--')) {
-    target = sessions.find((s) => s.id === sessionId || s.name === sessionId);
+    const { session, matches } = findSession(sessions, sessionId);
+    target = session;
     if (!target) {
-      console.error(`Session not found: ${sessionId}`);
-      console.error('Available sessions:');
-      for (const s of sessions) {
+      console.error(matches.length > 1 ? `Ambiguous session: ${sessionId}` : `Session not found: ${sessionId}`);
+      console.error(matches.length > 1 ? 'Matching sessions:' : 'Available sessions:');
+      for (const s of (matches.length > 1 ? matches : sessions)) {
         console.error(`  ${s.name} (${s.id}) — ${s.status}`);
       }
       process.exit(1);
@@ -62,18 +63,36 @@ if (subcommand === 'web') {
   const { loadAllSessions } = require('../src/state');
   const { loadConfig } = require('../src/config');
   const { computeStats } = require('../src/stats');
+  const { formatTokens, formatCost } = require('../src/cost');
+  const { formatDuration } = require('../src/renderer');
 
   const config = loadConfig();
   const sessions = loadAllSessions(config);
   const stats = computeStats(sessions);
+  const pct = (ms) => (stats.totalWallMs > 0 ? ` (${(ms / stats.totalWallMs * 100).toFixed(1)}%)` : '');
 
   console.log('Claude Agent Monitor — Statistics\n');
   console.log(`  Total Sessions:  ${stats.totalSessions}`);
   console.log(`  Active:          ${stats.activeSessions}`);
+  console.log(`  Waiting:         ${stats.waitingSessions}`);
+  console.log(`  Paused:          ${stats.pausedSessions}`);
   console.log(`  Idle:            ${stats.idleSessions}`);
   console.log(`  Ended:           ${stats.endedSessions}`);
+  console.log(`  Crashed:         ${stats.crashedSessions}`);
   console.log(`  Total Tools:     ${stats.totalTools}`);
   console.log(`  Total Messages:  ${stats.totalMessages}`);
+  console.log(`  Tool Errors:     ${stats.totalErrors} (${(stats.errorRate * 100).toFixed(1)}%)`);
+  console.log(`  Compactions:     ${stats.totalCompactions}`);
+  console.log(`  Lines Changed:   +${stats.totalLinesAdded}/-${stats.totalLinesRemoved} across ${stats.totalFilesChanged} file(s)`);
+  console.log(`  Tokens:          ${formatTokens(stats.totalTokens)}`);
+  console.log(`  Est. Cost:       ${formatCost(stats.totalCostUsd)}`);
+  console.log(`  Wall Time:       ${formatDuration(stats.totalWallMs)}`);
+  console.log(`  Active Time:     ${formatDuration(stats.totalActiveMs)}${pct(stats.totalActiveMs)}`);
+  console.log(`  Idle Time:       ${formatDuration(stats.totalIdleMs)}${pct(stats.totalIdleMs)}`);
+  console.log(`  Permission Wait: ${formatDuration(stats.totalWaitingMs)}${pct(stats.totalWaitingMs)}`);
+  console.log(`  Waiting on You:  ${(stats.humanWaitRate * 100).toFixed(1)}% of wall time`);
+  console.log(`  Turns:           ${stats.totalTurns}` +
+    (stats.avgTurnMs > 0 ? ` (avg ${formatDuration(stats.avgTurnMs)}, longest ${formatDuration(stats.longestTurnMs)})` : ''));
   console.log('');
 
   if (Object.keys(stats.toolDistribution).length > 0) {
@@ -89,9 +108,175 @@ if (subcommand === 'web') {
   if (stats.projectBreakdown.length > 0) {
     console.log('  Projects:');
     for (const p of stats.projectBreakdown) {
-      console.log(`    ${p.project.padEnd(30)} ${p.sessions} session(s), ${p.tools} tools`);
+      const errors = p.errors > 0 ? `, ${p.errors} error(s)` : '';
+      const compacted = p.compactions > 0 ? `, ${p.compactions} compaction(s)` : '';
+      const churn = p.filesChanged > 0 ? `, +${p.linesAdded}/-${p.linesRemoved} lines` : '';
+      const cost = p.tokens > 0 ? `, ${formatTokens(p.tokens)} tokens, ${formatCost(p.costUsd)}` : '';
+      const active = p.activeMs > 0 ? `, ${formatDuration(p.activeMs)} active` : '';
+      console.log(`    ${p.project.padEnd(30)} ${p.sessions} session(s), ${p.tools} tools${errors}${compacted}${churn}${cost}${active}`);
+    }
+  }
+
+  if (stats.modelBreakdown.length > 0) {
+    console.log('');
+    console.log('  Models:');
+    for (const m of stats.modelBreakdown) {
+      const detail = `in ${formatTokens(m.input)}, out ${formatTokens(m.output)}, cache ${formatTokens(m.cacheRead)} read / ${formatTokens(m.cacheWrite)} write`;
+      const cost = m.priced ? formatCost(m.costUsd) : 'no price';
+      console.log(`    ${m.model.padEnd(30)} ${cost.padStart(9)}  ${detail}`);
+    }
+  }
+
+  if (stats.sessionCompactions.length > 0) {
+    console.log('');
+    console.log('  Compactions by Session:');
+    for (const s of stats.sessionCompactions) {
+      console.log(`    ${s.name.padEnd(20)} ${s.project.padEnd(20)} ${s.compactions} (${s.auto} auto, ${s.manual} manual)`);
+    }
+  }
+} else if (subcommand === 'policy') {
+  // cam policy test "<command>" [--tool Bash] [--cwd dir] [--input '{"file_path": "..."}']
+  const { loadPolicy, evaluatePolicy, POLICY_PATH } = require('../../hooks/lib/policy');
+
+  const flag = (name) => {
+    const idx = args.indexOf(name);
+    return idx !== -1 ? args[idx + 1] : undefined;
+  };
+
+  const value = args[2];
+  if (args[1] !== 'test' || (!value && !flag('--input'))) {
+    console.error('Usage: cam policy test "<command>" [--tool <ToolName>] [--cwd <dir>] [--input <json>]');
+    process.exit(1);
+  }
+
+  const policy = loadPolicy();
+  if (!policy) {
+    console.log(`No policy rules found in ${POLICY_PATH}`);
+    process.exit(0);
+  }
+
+  // The argument fills the tool's main input field; --input gives the whole input
+  const tool = flag('--tool') || 'Bash';
+  const INPUT_FIELDS = {
+    Bash: 'command', Write: 'file_path', Edit: 'file_path', MultiEdit: 'file_path', Read: 'file_path',
+    NotebookEdit: 'notebook_path', WebFetch: 'url', WebSearch: 'query', Grep: 'pattern', Glob: 'pattern',
+  };
+  let toolInput;
+  if (flag('--input')) {
+    try {
+      toolInput = JSON.parse(flag('--input'));
+    } catch {
+      console.error('--input must be a JSON object');
+      process.exit(1);
     }
+  } else {
+    toolInput = { [INPUT_FIELDS[tool] || 'command']: value };
   }
+
+  const result = evaluatePolicy(policy, tool, toolInput, { cwd: flag('--cwd') || process.cwd() });
+  if (!result) {
+    console.log(`no match  ${tool} — no rule applies, Claude Code's normal permissions are used`);
+  } else {
+    console.log(`${result.decision.padEnd(8)}  ${tool} — ${result.rule}: ${result.reason}`);
+  }
+} else if (subcommand === 'prune') {
+  // cam prune [--dry-run] [--force]
+  const { loadConfig } = require('../src/config');
+  const { pruneSessions } = require('../src/retention');
+
+  const config = loadConfig();
+  const dryRun = args.includes('--dry-run');
+  const result = pruneSessions(config, { dryRun, force: args.includes('--force') });
+  const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+  const r = config.retention;
+
+  const limit = (value, text) => (value > 0 ? text : 'off');
+  console.log(`Retention: max age ${limit(r.maxAgeDays, `${r.maxAgeDays} days`)}, per project ${limit(r.keepPerProject, `newest ${r.keepPerProject}`)}, total size ${limit(r.maxTotalMb, `${r.maxTotalMb} MB`)}\n`);
+  if (result.pruned.length === 0 && result.skipped.length === 0) {
+    console.log('Nothing to prune.');
+  }
+  if (result.pruned.length > 0) {
+    console.log(`${dryRun ? 'Would prune' : 'Pruned'} ${result.pruned.length} session(s), ${kb(result.freedBytes)}:`);
+    for (const p of result.pruned) {
+      console.log(`  ${p.name.padEnd(20)} ${p.id.slice(0, 8)}  ${kb(p.bytes).padStart(10)}  ${p.reason}`);
+    }
+  }
+  if (result.skipped.length > 0) {
+    console.log(`Kept ${result.skipped.length} session(s):`);
+    for (const p of result.skipped) {
+      console.log(`  ${p.name.padEnd(20)} ${p.id.slice(0, 8)}  ${kb(p.bytes).padStart(10)}  ${p.reason}`);
+    }
+  }
+} else if (subcommand === 'import') {
+  // cam import [--since DATE] [--project PATH] [--sessions] [--dry-run]
+  const { loadConfig } = require('../src/config');
+  const { importTranscripts } = require('../src/importer');
+  const { getArchiveBasePath } = require('../../hooks/lib/archiver');
+
+  const flag = (name) => {
+    const idx = args.indexOf(name);
+    return idx !== -1 ? args[idx + 1] : undefined;
+  };
+
+  const sinceArg = flag('--since');
+  const since = sinceArg !== undefined ? Date.parse(sinceArg) : undefined;
+  if ((args.includes('--since') && !sinceArg) || Number.isNaN(since) || (args.includes('--project') && !flag('--project'))) {
+    console.error('Usage: cam import [--since <date>] [--project <path>] [--sessions] [--dry-run]');
+    process.exit(1);
+  }
+
+  const sessions = args.includes('--sessions');
+  const dryRun = args.includes('--dry-run');
+  const archivePath = getArchiveBasePath();
+  if (!archivePath && !sessions) {
+    console.error('No archivePath configured. Set one in config.json, or pass --sessions to import into the sessions directory.');
+    process.exit(1);
+  }
+
+  const result = importTranscripts(loadConfig(), { since, project: flag('--project'), sessions, dryRun });
+  const targets = [archivePath && `archive (${archivePath})`, sessions && 'sessions directory'].filter(Boolean).join(' and ');
+
+  if (result.imported.length === 0) {
+    console.log('Nothing to import.');
+  } else {
+    console.log(`${dryRun ? 'Would import' : 'Imported'} ${result.imported.length} session(s) into the ${targets}:`);
+    for (const s of result.imported) {
+      console.log(`  ${new Date(s.startedAt).toISOString().slice(0, 16).replace('T', ' ')}  ${s.id.slice(0, 8)}  ${String(s.events).padStart(5)} events  ${s.cwd}`);
+    }
+  }
+  if (result.skipped.length > 0) {
+    console.log(`Skipped ${result.skipped.length} session(s):`);
+    for (const s of result.skipped) {
+      console.log(`  ${s.id.slice(0, 8)}  ${s.reason}`);
+    }
+  }
+} else if (subcommand === 'rename') {
+  // cam rename <session> <label>   (an empty label restores the generated name)
+  const { loadAllSessions, findSession } = require('../src/state');
+  const { loadConfig } = require('../src/config');
+  const { setLabel } = require('../src/labels');
+
+  const query = args[1];
+  if (!query || args.length < 3) {
+    console.error('Usage: cam rename <session> <label>');
+    console.error('       cam rename <session> ""   restore the generated name');
+    process.exit(1);
+  }
+
+  const sessions = loadAllSessions(loadConfig());
+  const { session, matches } = findSession(sessions, query);
+  if (!session) {
+    console.error(matches.length > 1 ? `Ambiguous session: ${query}` : `Session not found: ${query}`);
+    for (const s of (matches.length > 1 ? matches : sessions)) {
+      console.error(`  ${s.name} (${s.id}) — ${s.status}`);
+    }
+    process.exit(1);
+  }
+
+  const label = setLabel(session.id, args.slice(2).join(' '));
+  console.log(label
+    ? `Renamed ${session.name} (${session.id}) to "${label}"`
+    : `Cleared label of ${session.id}, now ${session.agentName}`);
 } else {
   const { start } = require('../src/app');
   start();
@@ -2,16 +2,21 @@
 
 const { execSync, spawn } = require('child_process');
 const path = require('path');
-const { loadAllSessions, clearEndedSessions } = require('./state');
+const { clearEndedSessions } = require('./state');
+const { SessionStore } = require('./store');
 const { draw } = require('./renderer');
-const { SessionWatcher } = require('./watcher');
+const { SessionWatcher, TranscriptWatcher } = require('./watcher');
 const { loadConfig, saveConfig } = require('./config');
 const { SummaryManager } = require('./summarizer');
+const { isConfigured } = require('./provider');
 const { runSetup } = require('./setup');
-const { notify, detectTransitions } = require('./notifier');
+const { notify, detectSessionTransitions } = require('./notifier');
 const { saveExport } = require('./exporter');
 const { ArchiveSyncer } = require('./archive-sync');
 const { buildTimeline } = require('./timeline');
+const { setPause, clearPause } = require('../../hooks/lib/pause');
+const { setLabel, MAX_LABEL_LENGTH } = require('./labels');
+const { pruneSessions, retentionEnabled, PRUNE_INTERVAL_MS } = require('./retention');
 
 /**
  * Start the dashboard application.
@@ -32,8 +37,8 @@ async function start() {
     process.stdin.setEncoding('utf8');
   }
 
-  // First-run setup: if no API key configured, offer the setup wizard
-  if (!config.apiKey) {
+  // First-run setup: if no provider is configured, offer the setup wizard
+  if (!isConfigured(config)) {
     const setupResult = await runSetup(config);
     if (setupResult) {
       config = { ...config, ...setupResult };
@@ -46,17 +51,20 @@ async function start() {
   const uiState = {
     focusIndex: 0,
     scrollOffsets: {},  // sessionId -> number
-    filter: 'all',     // 'all' | 'active' | 'idle' | 'ended'
+    filter: 'all',     // 'all' | 'active' | 'waiting' | 'paused' | 'idle' | 'ended' (incl. crashed)
     expandedPanels: new Set(), // sessionIds with expanded tool details
     notifications: config.notifications || false,
     groupByProject: config.groupByProject || false,
     statusMessage: '',      // Temporary status message shown in footer
     statusMessageTimer: null,
+    rename: null,           // { sessionId, name, buffer } while typing a new label
   };
 
-  // Cached sessions for re-render
+  // Session state, updated incrementally from the session files
+  const store = new SessionStore(config);
+
+  // Sessions currently shown (filtered), for key handlers
   let currentSessions = [];
-  let previousSessions = []; // For notification transition detection
 
   // Track whether we're in setup mode (blocks dashboard keys)
   let inSetup = false;
@@ -83,56 +91,75 @@ async function start() {
   const monitorProjectRoot = path.resolve(__dirname, '..', '..');
 
   /**
-   * Refresh: load sessions and redraw.
+   * Whether a session belongs to the monitor's own project directory. These
+   * are hidden so the monitor doesn't show "itself" (the Claude Code session
+   * used to develop or interact with the monitor). Controlled by hideSelf config.
    */
-  function refresh() {
-    if (inSetup) return; // Don't redraw dashboard while in setup
+  function isSelf(session) {
+    if (config.hideSelf === false || !session.cwd) return false;
+    try {
+      return path.resolve(session.cwd) === monitorProjectRoot;
+    } catch {
+      return false;
+    }
+  }
 
-    let allSessions = loadAllSessions(config);
-
-    // Filter out sessions whose cwd matches the monitor's own project directory.
-    // This prevents the monitor from showing "itself" (the Claude Code session
-    // used to develop or interact with the monitor). Controlled by hideSelf config.
-    if (config.hideSelf !== false) {
-      allSessions = allSessions.filter((s) => {
-        if (!s.cwd) return true;
-        try {
-          return path.resolve(s.cwd) !== monitorProjectRoot;
-        } catch {
-          return true;
-        }
-      });
+  /**
+   * Send a desktop notification for a session transition.
+   */
+  function notifyTransition(t) {
+    const name = t.session.name || 'Agent';
+    if (t.type === 'session_end') {
+      notify('Agent Finished', `${name} has completed its session`);
+    } else if (t.type === 'session_crashed') {
+      notify('Agent Exited', `${name} stopped without ending its session (crashed or terminal closed)`);
+    } else if (t.type === 'became_waiting') {
+      notify('Permission Needed', `${name}: ${t.session.waitingMessage || 'waiting for permission'}`);
+    } else if (t.type === 'became_idle') {
+      notify('Agent Idle', `${name} is waiting for input`);
+    } else if (t.type === 'became_stale') {
+      notify('Agent Stale', `${name} has been unresponsive for 5+ minutes`);
+    } else if (t.type === 'error_streak') {
+      notify('Tool Failures', `${name} has ${t.session.consecutiveErrors} failed tool calls in a row`);
+    } else if (t.type === 'new_tool_activity') {
+      notify('Agent Active', `${name} used ${t.detail || 'a tool'}`);
+    } else if (t.type === 'new_messages') {
+      notify('New Message', `${name} has new conversation activity`);
     }
+  }
 
-    // Detect transitions for notifications before updating currentSessions
-    if (uiState.notifications && previousSessions.length > 0) {
-      const transitions = detectTransitions(previousSessions, allSessions);
-      for (const t of transitions) {
-        const name = t.session.name || 'Agent';
-        if (t.type === 'session_end') {
-          notify('Agent Finished', `${name} has completed its session`);
-        } else if (t.type === 'became_idle') {
-          notify('Agent Idle', `${name} is waiting for input`);
-        } else if (t.type === 'became_stale') {
-          notify('Agent Stale', `${name} has been unresponsive for 5+ minutes`);
-        } else if (t.type === 'new_tool_activity') {
-          notify('Agent Active', `${name} used ${t.detail || 'a tool'}`);
-        } else if (t.type === 'new_messages') {
-          notify('New Message', `${name} has new conversation activity`);
-        }
-      }
+  // Notifications come from per-session changes; new sessions have no previous state
+  store.on('session', (session, previous) => {
+    if (!uiState.notifications || !previous || isSelf(session)) return;
+    const transitions = detectSessionTransitions(previous, session, {
+      errorStreak: config.errorStreakThreshold,
+    });
+    for (const t of transitions) {
+      notifyTransition(t);
     }
-    previousSessions = allSessions;
+  });
+
+  /**
+   * Refresh: redraw from the session store.
+   */
+  function refresh() {
+    if (inSetup) return; // Don't redraw dashboard while in setup
+
+    const allSessions = store.getSessions().filter((s) => !isSelf(s));
 
     // Apply status filter
     if (uiState.filter === 'all') {
       currentSessions = allSessions;
     } else if (uiState.filter === 'active') {
-      currentSessions = allSessions.filter((s) => s.status === 'active' || s.status === 'idle');
+      currentSessions = allSessions.filter((s) => s.status === 'active' || s.status === 'idle' || s.status === 'waiting' || s.status === 'paused');
+    } else if (uiState.filter === 'waiting') {
+      currentSessions = allSessions.filter((s) => s.status === 'waiting');
+    } else if (uiState.filter === 'paused') {
+      currentSessions = allSessions.filter((s) => s.status === 'paused');
     } else if (uiState.filter === 'idle') {
       currentSessions = allSessions.filter((s) => s.status === 'idle' || s.status === 'stale');
     } else if (uiState.filter === 'ended') {
-      currentSessions = allSessions.filter((s) => s.status === 'ended');
+      currentSessions = allSessions.filter((s) => s.status === 'ended' || s.status === 'crashed');
     }
 
     // Clamp focus index
@@ -163,24 +190,60 @@ async function start() {
     const renderConfig = {
       ...config,
       _expandedPanels: uiState.expandedPanels,
-      _statusMessage: uiState.statusMessage || '',
+      _statusMessage: uiState.rename
+        ? `Rename ${uiState.rename.name}: ${uiState.rename.buffer}\u2588  [Enter] Save  [Esc] Cancel  (empty restores the generated name)`
+        : (uiState.statusMessage || ''),
     };
     draw(currentSessions, uiState, renderConfig, summaries, topics);
   }
 
   // Wire up async summary updates to trigger re-render
   summaryManager.onUpdate = () => refresh();
+  summaryManager.onError = (err) => showStatus(`AI summary failed: ${err.message}`, 5000);
 
-  // Initial render
+  // Initial load and render
+  store.refresh();
   refresh();
+  store.on('update', refresh);
 
-  // Watch for changes
+  // Watch for changes: only appended events are read
   const watcher = new SessionWatcher();
-  watcher.on('change', refresh);
+  watcher.on('change', () => store.refresh());
   watcher.start();
 
-  // Auto-refresh every 5 seconds to update elapsed times
-  const autoRefreshTimer = setInterval(refresh, 5000);
+  // Transcript writes (assistant messages) rebuild their sessions right away
+  const transcriptWatcher = new TranscriptWatcher();
+  transcriptWatcher.on('change', (sessionIds) => {
+    for (const id of sessionIds) store.invalidate(id);
+    store.refresh();
+  });
+  transcriptWatcher.start();
+
+  // Every 5 seconds rebuild live sessions (their status moves with the clock)
+  // and redraw elapsed times even if nothing changed
+  const autoRefreshTimer = setInterval(() => {
+    if (!store.tick()) refresh();
+  }, 5000);
+
+  /**
+   * Apply the retention settings (same as `cam prune`).
+   */
+  function runPrune() {
+    try {
+      const result = pruneSessions(config, { store });
+      if (result.pruned.length > 0) {
+        store.refresh();
+        showStatus(`Pruned ${result.pruned.length} old session(s)`, 4000);
+      }
+    } catch {
+      // Pruning is housekeeping — never disrupt the dashboard
+    }
+  }
+
+  // Prune shortly after startup, then periodically — only once the user set a limit
+  const pruning = retentionEnabled(config.retention);
+  const pruneStartTimer = pruning ? setTimeout(runPrune, 10000) : null;
+  const pruneTimer = pruning ? setInterval(runPrune, PRUNE_INTERVAL_MS) : null;
 
   // Handle terminal resize
   process.stdout.on('resize', refresh);
@@ -195,16 +258,50 @@ async function start() {
       config = { ...config, ...setupResult };
       saveConfig(config);
       summaryManager.updateConfig(config);
+      store.updateConfig(config);
     }
     inSetup = false;
     refresh();
   }
 
+  /**
+   * Handle a key while the rename prompt is open: typing edits the label,
+   * Enter saves it, Esc cancels.
+   */
+  function handleRenameKey(key) {
+    const rename = uiState.rename;
+    if (key === '\r' || key === '\n') {
+      uiState.rename = null;
+      try {
+        const label = setLabel(rename.sessionId, rename.buffer);
+        store.refresh();
+        showStatus(label ? `Renamed ${rename.name} to ${label}` : `Restored the generated name of ${rename.name}`, 3000);
+      } catch (err) {
+        showStatus(`Rename failed: ${err.message || 'unknown error'}`, 4000);
+      }
+      return;
+    }
+    if (key === '\x1b' || key === '\u0003') {
+      uiState.rename = null;
+    } else if (key === '\x7f' || key === '\b') {
+      rename.buffer = rename.buffer.slice(0, -1);
+    } else if (!key.startsWith('\x1b')) {
+      // Printable characters only (pastes arrive as one chunk)
+      const text = key.replace(/[\x00-\x1f\x7f]/g, '');
+      rename.buffer = (rename.buffer + text).slice(0, MAX_LABEL_LENGTH);
+    }
+    refresh();
+  }
+
   // Keyboard input
   if (process.stdin.isTTY) {
     process.stdin.on('data', (key) => {
       // If we're in setup, don't handle dashboard keys (setup handles its own keys)
       if (inSetup) return;
+      if (uiState.rename) {
+        handleRenameKey(key);
+        return;
+      }
 
       const sessions = currentSessions;
 
@@ -214,11 +311,12 @@ async function start() {
           cleanup();
           return;
         case 'r':
+          store.tick();
           refresh();
           return;
         case 'c':
           clearEndedSessions();
-          refresh();
+          store.refresh();
           return;
         case 's':
           openSetup();
@@ -233,8 +331,8 @@ async function start() {
           return;
         }
         case 'f': {
-          // Cycle status filter: All → Active → Idle → Ended → All
-          const filters = ['all', 'active', 'idle', 'ended'];
+          // Cycle status filter: All → Active → Waiting → Paused → Idle → Ended → All
+          const filters = ['all', 'active', 'waiting', 'paused', 'idle', 'ended'];
           const idx = filters.indexOf(uiState.filter);
           uiState.filter = filters[(idx + 1) % filters.length];
           refresh();
@@ -253,6 +351,34 @@ async function start() {
           refresh();
           return;
         }
+        case 'p': {
+          // Pause/resume the focused session (tool calls are held by the guard hook)
+          if (sessions.length === 0) return;
+          const target = sessions[uiState.focusIndex];
+          if (!target || target.status === 'ended' || target.status === 'crashed') return;
+          try {
+            if (target.status === 'paused') {
+              clearPause(target.id);
+              showStatus(`Resumed ${target.name}`, 3000);
+            } else {
+              setPause(target.id, 'tui');
+              showStatus(`Paused ${target.name} — its tool calls are held until you press [p] again`, 4000);
+            }
+          } catch (err) {
+            showStatus(`Pause failed: ${err.message || 'unknown error'}`, 4000);
+          }
+          store.refresh();
+          return;
+        }
+        case 'R': {
+          // Rename the focused session (label stored in labels.json)
+          if (sessions.length === 0) return;
+          const target = sessions[uiState.focusIndex];
+          if (!target) return;
+          uiState.rename = { sessionId: target.id, name: target.name, buffer: target.label || '' };
+          refresh();
+          return;
+        }
         case 'e': {
           // Export focused session as markdown
           if (sessions.length === 0) return;
@@ -260,7 +386,7 @@ async function start() {
           if (!focusedSession) return;
           const summary = summaryManager.getSummary(focusedSession);
           try {
-            const exportPath = saveExport(focusedSession, 'md', summary);
+            const exportPath = saveExport(focusedSession, 'md', summary, store);
             showStatus(`Exported to ${path.basename(exportPath)}`, 4000);
           } catch (err) {
             showStatus(`Export failed: ${err.message || 'unknown error'}`, 4000);
@@ -340,11 +466,13 @@ async function start() {
         const current = uiState.scrollOffsets[id] || 0;
 
         // Calculate from full timeline length, not just recentTools
-        const timeline = buildTimeline(focused.recentTools || [], focused.conversation || []);
+        const timeline = buildTimeline(focused.recentTools || [], focused.conversation || [], focused.compactions);
         const isExpanded = uiState.expandedPanels.has(id);
-        // In expanded mode, each tool entry can produce 2 lines (name + detail)
+        // In expanded mode, each tool entry can produce up to 3 lines (name + detail + error)
         const totalLines = isExpanded
-          ? timeline.reduce((acc, e) => acc + (e.type === 'tool' && (e.toolDetail || e.toolResultBrief) ? 2 : 1), 0)
+          ? timeline.reduce((acc, e) => acc + 1 +
+            (e.type === 'tool' && (e.toolDetail || e.toolResultBrief) ? 1 : 0) +
+            (e.type === 'tool' && e.error ? 1 : 0), 0)
           : timeline.length;
         const visibleLines = isExpanded ? 10 : 5;
         const maxScroll = Math.max(0, totalLines - visibleLines);
@@ -364,7 +492,10 @@ async function start() {
 
   function cleanup() {
     watcher.stop();
+    transcriptWatcher.stop();
     clearInterval(autoRefreshTimer);
+    clearTimeout(pruneStartTimer);
+    clearInterval(pruneTimer);
     if (uiState.statusMessageTimer) clearTimeout(uiState.statusMessageTimer);
     process.stdout.removeAllListeners('resize');
     if (webProcess) {
@@ -55,7 +55,8 @@ class ArchiveSyncer {
       lastTopic: '',
     };
 
-    const conversation = session.conversation || [];
+    // Hook-captured prompts are already archived by user-prompt-submit.js
+    const conversation = (session.conversation || []).filter((m) => m.source !== 'hook');
     let updated = st;
 
     // Append new conversation messages
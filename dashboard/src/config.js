@@ -15,10 +15,51 @@ const PROVIDERS = {
     baseUrl: 'https://api.openai.com/v1',
     models: ['gpt-4o-mini', 'gpt-4o'],
   },
+  ollama: {
+    baseUrl: 'http://localhost:11434',
+    models: ['llama3.2', 'qwen2.5'],
+  },
   custom: {
     baseUrl: '',
     models: [],
   },
+  mock: {
+    baseUrl: '',
+    models: ['mock'],
+  },
+};
+
+// Providers that never take an API key: a local Ollama server and the offline mock.
+// `custom` endpoints may or may not need one.
+const KEYLESS_PROVIDERS = new Set(['ollama', 'mock']);
+
+// Estimated API prices in USD per million tokens, matched against the model id
+// by the longest contained key (see cost.priceFor). Override or extend with
+// `modelPrices` in config.json.
+const MODEL_PRICES = {
+  'opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  opus: { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  sonnet: { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  haiku: { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+};
+
+// Session file retention for `cam prune` and the dashboards' periodic prune.
+// Only ended, crashed and stale sessions are ever removed; 0 disables a limit,
+// and every limit is off until the user sets one.
+const RETENTION_DEFAULTS = {
+  maxAgeDays: 0,     // remove sessions inactive for longer than this
+  keepPerProject: 0, // keep at most the newest N sessions of each project
+  maxTotalMb: 0,     // then remove the oldest until the directory fits
+};
+
+// Transcript parsing. Live sessions keep a short window of clipped messages;
+// exports, replay and /api/timeline read the full transcript on demand.
+const TRANSCRIPT_DEFAULTS = {
+  maxMessages: 20,       // conversation messages kept on each live session (0: all)
+  maxTextLength: 300,    // clip those messages to this many characters (0: full text)
+  maxResultLength: 4000, // clip tool results in the full transcript (0: full text)
+  thinking: false,       // include the agent's thinking blocks in the full transcript
 };
 
 const DEFAULTS = {
@@ -28,12 +69,42 @@ const DEFAULTS = {
   model: PROVIDERS.anthropic.models[0],
   language: '',
   maxRecentTools: 10,
+  promptMaxLength: 2000,
+  errorStreakThreshold: 3,
+  redactPatterns: [],
+  modelPrices: {},
   notifications: false,
   groupByProject: false,
   archivePath: '',
   hideSelf: true,
+  retention: RETENTION_DEFAULTS,
+  transcript: TRANSCRIPT_DEFAULTS,
 };
 
+/**
+ * Validate retention settings: each field a non-negative number, else its default.
+ */
+function normalizeRetention(retention) {
+  const r = retention && typeof retention === 'object' ? retention : {};
+  const result = {};
+  for (const [key, fallback] of Object.entries(RETENTION_DEFAULTS)) {
+    result[key] = typeof r[key] === 'number' && r[key] >= 0 ? r[key] : fallback;
+  }
+  return result;
+}
+
+/**
+ * Validate transcript settings: limits non-negative numbers, thinking a boolean.
+ */
+function normalizeTranscript(transcript) {
+  const t = transcript && typeof transcript === 'object' ? transcript : {};
+  const result = {};
+  for (const [key, fallback] of Object.entries(TRANSCRIPT_DEFAULTS)) {
+    result[key] = typeof t[key] === typeof fallback && (typeof fallback !== 'number' || t[key] >= 0) ? t[key] : fallback;
+  }
+  return result;
+}
+
 /**
  * Load config from ~/.claude/agent-monitor/config.json.
  * All fields optional. Returns defaults on missing/malformed file.
@@ -53,10 +124,26 @@ function loadConfig() {
         typeof parsed.maxRecentTools === 'number' && parsed.maxRecentTools > 0
           ? parsed.maxRecentTools
           : DEFAULTS.maxRecentTools,
+      promptMaxLength:
+        typeof parsed.promptMaxLength === 'number' && parsed.promptMaxLength > 0
+          ? parsed.promptMaxLength
+          : DEFAULTS.promptMaxLength,
+      errorStreakThreshold:
+        typeof parsed.errorStreakThreshold === 'number' && parsed.errorStreakThreshold > 0
+          ? parsed.errorStreakThreshold
+          : DEFAULTS.errorStreakThreshold,
+      redactPatterns: Array.isArray(parsed.redactPatterns)
+        ? parsed.redactPatterns.filter((p) => typeof p === 'string')
+        : DEFAULTS.redactPatterns,
+      modelPrices: parsed.modelPrices && typeof parsed.modelPrices === 'object' && !Array.isArray(parsed.modelPrices)
+        ? parsed.modelPrices
+        : DEFAULTS.modelPrices,
       notifications: typeof parsed.notifications === 'boolean' ? parsed.notifications : DEFAULTS.notifications,
       groupByProject: typeof parsed.groupByProject === 'boolean' ? parsed.groupByProject : DEFAULTS.groupByProject,
       archivePath: typeof parsed.archivePath === 'string' ? parsed.archivePath : DEFAULTS.archivePath,
       hideSelf: typeof parsed.hideSelf === 'boolean' ? parsed.hideSelf : DEFAULTS.hideSelf,
+      retention: normalizeRetention(parsed.retention),
+      transcript: normalizeTranscript(parsed.transcript),
     };
   } catch {
     return { ...DEFAULTS };
@@ -77,12 +164,18 @@ function saveConfig(config) {
     model: config.model || DEFAULTS.model,
     language: config.language || '',
     maxRecentTools: config.maxRecentTools || DEFAULTS.maxRecentTools,
+    promptMaxLength: config.promptMaxLength || DEFAULTS.promptMaxLength,
+    errorStreakThreshold: config.errorStreakThreshold || DEFAULTS.errorStreakThreshold,
+    redactPatterns: Array.isArray(config.redactPatterns) ? config.redactPatterns : [],
+    modelPrices: config.modelPrices || {},
     notifications: !!config.notifications,
     groupByProject: !!config.groupByProject,
     archivePath: config.archivePath || '',
     hideSelf: config.hideSelf !== false,
+    retention: normalizeRetention(config.retention),
+    transcript: normalizeTranscript(config.transcript),
   };
   fs.writeFileSync(CONFIG_PATH, JSON.stringify(data, null, 2) + '\n', 'utf8');
 }
 
-module.exports = { loadConfig, saveConfig, DEFAULTS, PROVIDERS, CONFIG_PATH };
+module.exports = { loadConfig, saveConfig, DEFAULTS, PROVIDERS, KEYLESS_PROVIDERS, MODEL_PRICES, CONFIG_PATH };
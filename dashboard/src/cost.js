@@ -0,0 +1,84 @@
+'use strict';
+
+const { MODEL_PRICES } = require('./config');
+
+const TOKEN_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+/**
+ * Find the price entry for a model id. An exact key wins; otherwise the
+ * longest key contained in the id ("sonnet" matches "claude-sonnet-4-5-20250929").
+ * User overrides are checked before the built-in table.
+ * @param {string} model - Model id from the transcript.
+ * @param {object} [overrides] - config.modelPrices.
+ * @returns {{input, output, cacheRead, cacheWrite}|null} USD per million tokens.
+ */
+function priceFor(model, overrides) {
+  if (!model) return null;
+  const id = model.toLowerCase();
+  for (const table of [overrides || {}, MODEL_PRICES]) {
+    if (table[model]) return table[model];
+    const key = Object.keys(table)
+      .filter((k) => id.includes(k.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+    if (key) return table[key];
+  }
+  return null;
+}
+
+/**
+ * Estimated cost in USD of one usage record, or null when the model is unpriced.
+ */
+function costOf(model, usage, overrides) {
+  const price = priceFor(model, overrides);
+  if (!price || !usage) return null;
+  return TOKEN_FIELDS.reduce(
+    (sum, f) => sum + ((usage[f] || 0) * (Number(price[f]) || 0)) / 1e6,
+    0
+  );
+}
+
+/**
+ * Roll per-model token counts up into session totals with estimated cost.
+ * @param {Object<string, object>} byModel - transcript.extractUsage() result.
+ * @param {object} [overrides] - config.modelPrices.
+ * @returns {{input, output, cacheRead, cacheWrite, total, costUsd, byModel, unpricedModels}|null}
+ *   null when there is no usage at all.
+ */
+function summarizeUsage(byModel, overrides) {
+  const models = Object.keys(byModel || {});
+  if (models.length === 0) return null;
+
+  const totals = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, total: 0, costUsd: 0, byModel: {}, unpricedModels: [] };
+  for (const model of models) {
+    const u = byModel[model];
+    const cost = costOf(model, u, overrides);
+    if (cost == null) totals.unpricedModels.push(model);
+    const total = TOKEN_FIELDS.reduce((sum, f) => sum + (u[f] || 0), 0);
+    totals.byModel[model] = { ...u, total, costUsd: cost || 0 };
+    for (const f of TOKEN_FIELDS) totals[f] += u[f] || 0;
+    totals.total += total;
+    totals.costUsd += cost || 0;
+  }
+  return totals;
+}
+
+/**
+ * Compact token count: 812, 45.3k, 1.2M.
+ */
+function formatTokens(n) {
+  if (!n) return '0';
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+
+/**
+ * Dollar amount with cent precision; tiny non-zero amounts show as "<$0.01".
+ */
+function formatCost(usd) {
+  if (!usd) return '$0.00';
+  if (usd < 0.01) return '<$0.01';
+  return `$${usd.toFixed(2)}`;
+}
+
+module.exports = { priceFor, costOf, summarizeUsage, formatTokens, formatCost, TOKEN_FIELDS };
@@ -4,6 +4,8 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { buildTimeline } = require('./timeline');
+const { loadToolHistory, loadFullTranscript } = require('./history');
+const { formatTokens, formatCost } = require('./cost');
 
 const EXPORTS_DIR = path.join(os.homedir(), '.claude', 'agent-monitor', 'exports');
 
@@ -27,71 +29,160 @@ function formatDuration(ms) {
   return `${s}s`;
 }
 
+/**
+ * Commit range a session covered ("start..end"), suitable for `git log`.
+ * Sessions that haven't ended yet give an open range ("start..").
+ * @param {object|null} git - session.git from state.buildGitInfo().
+ * @param {number} [shaLength] - Abbreviate SHAs to this many characters.
+ */
+function commitRange(git, shaLength) {
+  if (!git || !git.startHead) return '';
+  const sha = (s) => (shaLength ? s.slice(0, shaLength) : s);
+  return `${sha(git.startHead)}..${git.endHead ? sha(git.endHead) : ''}`;
+}
+
+/**
+ * Every tool call, message and compaction of a session, newest first, merged
+ * with its full transcript when one is found.
+ */
+function sessionTimeline(session, store) {
+  return buildTimeline(loadToolHistory(session, store), session.conversation || [], session.compactions, loadFullTranscript(session));
+}
+
 /**
  * Export a session in the specified format.
- * @param {object} session - Session state object (with recentTools, conversation).
+ * @param {object} session - Session state object (with conversation). Its full
+ *   tool history and transcript are loaded on demand, not just recentTools.
  * @param {string} format - 'json' | 'csv' | 'md'
  * @param {string} summary - AI or rule-based summary text.
+ * @param {SessionStore} [store] - Serves the full event history; read from the file without one.
  * @returns {string} Formatted export content.
  */
-function exportSession(session, format, summary) {
+function exportSession(session, format, summary, store) {
   switch (format) {
     case 'json':
-      return exportJson(session, summary);
+      return exportJson(session, summary, store);
     case 'csv':
-      return exportCsv(session, summary);
+      return exportCsv(session, summary, store);
     case 'md':
-      return exportMarkdown(session, summary);
+      return exportMarkdown(session, summary, store);
     default:
-      return exportJson(session, summary);
+      return exportJson(session, summary, store);
   }
 }
 
-function exportJson(session, summary) {
-  const timeline = buildTimeline(session.recentTools, session.conversation || []);
+function exportJson(session, summary, store) {
+  const timeline = sessionTimeline(session, store);
   return JSON.stringify({
     session: {
       id: session.id,
       name: session.name,
+      agentName: session.agentName || session.name,
+      label: session.label || null,
       cwd: session.cwd,
       model: session.model,
       status: session.status,
       toolCount: session.toolCount,
+      errorCount: session.errorCount || 0,
       messageCount: session.messageCount || 0,
+      compactionCount: (session.compactions || []).length,
+      git: session.git ? { ...session.git, commitRange: commitRange(session.git) } : null,
+      usage: session.usage || null,
+      churn: session.churn || null,
+      activity: session.activity ? {
+        ...session.activity,
+        turns: session.activity.turns.map((t) => ({ ...t, startedAt: formatTs(t.startedAt), endedAt: formatTs(t.endedAt) || null })),
+      } : null,
       summary: summary || '',
     },
-    timeline: timeline.map((e) => ({
-      type: e.type,
-      ts: formatTs(e.ts),
-      ...(e.type === 'tool'
-        ? { toolName: e.toolName, toolSummary: e.toolSummary, toolDetail: e.toolDetail, toolResult: e.toolResultBrief }
-        : { text: e.text }),
-    })),
+    timeline: timeline.map((e) => {
+      let fields;
+      if (e.type === 'tool') {
+        fields = { toolName: e.toolName, toolSummary: e.toolSummary, toolDetail: e.toolDetail, toolResult: e.toolResultBrief, durationMs: e.durationMs, error: e.error, lines: e.lines || null };
+        if (e.toolUseId) fields = { ...fields, toolUseId: e.toolUseId, input: e.input || null, result: e.result != null ? e.result : null };
+      } else if (e.type === 'compact') {
+        fields = { trigger: e.trigger };
+      } else {
+        fields = { text: e.text };
+        if (e.usage) fields = { ...fields, model: e.model, usage: e.usage, costUsd: e.costUsd };
+      }
+      return { type: e.type, ts: formatTs(e.ts), ...fields };
+    }),
   }, null, 2);
 }
 
-function exportCsv(session, summary) {
-  const timeline = buildTimeline(session.recentTools, session.conversation || []);
-  const lines = ['timestamp,type,name_or_role,content,detail'];
+/**
+ * One quoted CSV field, embedded quotes doubled.
+ */
+function csvField(value) {
+  return `"${value == null ? '' : String(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * One CSV line from its column values.
+ */
+function csvRow(...values) {
+  return values.map(csvField).join(',');
+}
+
+/**
+ * Trailing CSV columns for a usage record: tokens by kind, then cost.
+ */
+function usageColumns(u, costUsd) {
+  const cost = costUsd != null ? costUsd.toFixed(6) : '';
+  return [u.input, u.output, u.cacheRead, u.cacheWrite, cost];
+}
+
+function exportCsv(session, summary, store) {
+  const timeline = sessionTimeline(session, store);
+  const lines = ['timestamp,type,name_or_role,content,detail,input_tokens,output_tokens,cache_read_tokens,cache_write_tokens,cost_usd'];
+  const noUsage = ['', '', '', '', ''];
+
+  // Session-level git row: branch, commit range, repo root
+  if (session.git) {
+    const g = session.git;
+    lines.push(csvRow('', 'git', g.branch, commitRange(g), g.root, ...noUsage));
+  }
+
+  // Session-level usage rows: one per model, token totals across the whole transcript
+  if (session.usage) {
+    for (const [model, u] of Object.entries(session.usage.byModel)) {
+      lines.push(csvRow('', 'usage', model, 'session total', '', ...usageColumns(u, u.costUsd)));
+    }
+  }
+
+  // Session-level activity rows (ms), then one row per turn with its duration
+  if (session.activity) {
+    const a = session.activity;
+    for (const key of ['wallMs', 'activeMs', 'idleMs', 'waitingMs', 'turnCount']) {
+      lines.push(csvRow('', 'activity', key, a[key], '', ...noUsage));
+    }
+    a.turns.forEach((t, i) => {
+      const state = t.endedAt != null ? `${t.tools} tools` : `${t.tools} tools, in progress`;
+      lines.push(csvRow(formatTs(t.startedAt), 'turn', i + 1, t.durationMs, state, ...noUsage));
+    });
+  }
 
   for (const e of timeline.reverse()) { // chronological order for CSV
     const ts = formatTs(e.ts);
     if (e.type === 'tool') {
-      const content = (e.toolSummary || '').replace(/"/g, '""');
-      const detail = (e.toolDetail || '').replace(/"/g, '""');
-      lines.push(`"${ts}","tool","${e.toolName}","${content}","${detail}"`);
+      lines.push(csvRow(ts, 'tool', e.toolName, e.toolSummary, e.toolDetail, ...noUsage));
+    } else if (e.type === 'compact') {
+      lines.push(csvRow(ts, 'compact', e.trigger, 'context compacted', '', ...noUsage));
+    } else if (e.type === 'thinking') {
+      lines.push(csvRow(ts, 'thinking', 'assistant', e.text, '', ...noUsage));
     } else {
       const role = e.type === 'user_message' ? 'user' : 'assistant';
-      const content = (e.text || '').replace(/"/g, '""');
-      lines.push(`"${ts}","message","${role}","${content}",""`);
+      const usage = e.usage ? usageColumns(e.usage, e.costUsd) : noUsage;
+      lines.push(csvRow(ts, 'message', role, e.text, '', ...usage));
     }
   }
 
   return lines.join('\n');
 }
 
-function exportMarkdown(session, summary) {
-  const timeline = buildTimeline(session.recentTools, session.conversation || []);
+function exportMarkdown(session, summary, store) {
+  const timeline = sessionTimeline(session, store);
   const lines = [];
 
   lines.push(`# Session Report: ${session.name}`);
@@ -102,9 +193,32 @@ function exportMarkdown(session, summary) {
   lines.push(`| Agent Name | ${session.name} |`);
   lines.push(`| Project | ${session.cwd || 'N/A'} |`);
   lines.push(`| Model | ${session.model || 'N/A'} |`);
+  if (session.git) {
+    const g = session.git;
+    const dirty = g.dirtyEnd != null ? g.dirtyEnd : g.dirtyStart;
+    lines.push(`| Git Root | ${g.root} |`);
+    if (g.branch) lines.push(`| Branch | ${g.branch} |`);
+    if (g.startHead) lines.push(`| Commits | \`${commitRange(g, 7)}\` |`);
+    if (dirty != null) lines.push(`| Dirty Files | ${dirty} |`);
+  }
   lines.push(`| Status | ${session.status} |`);
   lines.push(`| Tools Used | ${session.toolCount} |`);
   lines.push(`| Messages | ${session.messageCount || 0} |`);
+  lines.push(`| Compactions | ${(session.compactions || []).length} |`);
+  if (session.usage) {
+    const u = session.usage;
+    lines.push(`| Tokens | ${formatTokens(u.total)} (in ${formatTokens(u.input)}, out ${formatTokens(u.output)}, cache ${formatTokens(u.cacheRead)} read / ${formatTokens(u.cacheWrite)} write) |`);
+    lines.push(`| Est. Cost | ${formatCost(u.costUsd)} |`);
+  }
+  const activity = session.activity;
+  if (activity) {
+    const pct = activity.wallMs > 0 ? ` (${Math.round((activity.activeMs / activity.wallMs) * 100)}%)` : '';
+    lines.push(`| Wall Time | ${formatDuration(activity.wallMs)} |`);
+    lines.push(`| Active Time | ${formatDuration(activity.activeMs)}${pct} |`);
+    lines.push(`| Idle Time | ${formatDuration(activity.idleMs)} |`);
+    lines.push(`| Waiting for Permission | ${formatDuration(activity.waitingMs)} |`);
+    lines.push(`| Turns | ${activity.turnCount} |`);
+  }
   lines.push('');
 
   if (summary) {
@@ -114,6 +228,50 @@ function exportMarkdown(session, summary) {
     lines.push('');
   }
 
+  const plan = session.plan;
+  if (plan && plan.total > 0) {
+    const filled = Math.round((plan.completed / plan.total) * 20);
+    lines.push('## Plan');
+    lines.push('');
+    lines.push(`\`${'\u2588'.repeat(filled)}${'\u2591'.repeat(20 - filled)}\` ${plan.completed}/${plan.total} done`);
+    lines.push('');
+    for (const t of plan.todos) {
+      const mark = t.status === 'completed' ? 'x' : ' ';
+      const current = t.status === 'in_progress' ? ' _(in progress)_' : '';
+      lines.push(`- [${mark}] ${t.content}${current}`);
+    }
+    lines.push('');
+  }
+
+  const churn = session.churn;
+  if (churn) {
+    lines.push('## File Changes');
+    lines.push('');
+    lines.push(`**+${churn.added} / -${churn.removed}** across ${churn.files.length} file(s)`);
+    lines.push('');
+    lines.push('| File | Added | Removed | Edits |');
+    lines.push('|------|------:|--------:|------:|');
+    for (const f of churn.files) {
+      // Paths inside the project are shown relative to it
+      const rel = session.cwd ? path.relative(session.cwd, f.file) : f.file;
+      const file = rel && !rel.startsWith('..') && !path.isAbsolute(rel) ? rel : f.file;
+      lines.push(`| \`${file.replace(/\|/g, '\\|')}\` | +${f.added} | -${f.removed} | ${f.edits} |`);
+    }
+    lines.push('');
+  }
+
+  if (activity && activity.turns.length > 0) {
+    lines.push('## Turns');
+    lines.push('');
+    lines.push('| # | Started | Duration | Tools |');
+    lines.push('|--:|---------|---------:|------:|');
+    activity.turns.forEach((t, i) => {
+      const duration = formatDuration(t.durationMs) + (t.endedAt != null ? '' : ' _(in progress)_');
+      lines.push(`| ${i + 1} | ${formatTs(t.startedAt)} | ${duration} | ${t.tools} |`);
+    });
+    lines.push('');
+  }
+
   lines.push('## Activity Timeline');
   lines.push('');
   lines.push('| Time | Type | Detail |');
@@ -126,9 +284,11 @@ function exportMarkdown(session, summary) {
     if (e.type === 'tool') {
       const detail = e.toolDetail || e.toolSummary || '';
       lines.push(`| ${ts} | **${e.toolName}** | ${detail.replace(/\|/g, '\\|')} |`);
+    } else if (e.type === 'compact') {
+      lines.push(`| ${ts} | \u2500\u2500\u2500 | **Context compacted (${e.trigger})** \u2500\u2500\u2500 |`);
     } else {
-      const role = e.type === 'user_message' ? 'User' : 'Assistant';
-      const text = (e.text || '').slice(0, 200).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+      const role = { user_message: 'User', assistant_message: 'Assistant', thinking: 'Thinking' }[e.type];
+      const text = (e.text || '').replace(/\|/g, '\\|').replace(/\n+/g, ' ');
       lines.push(`| ${ts} | _${role}_ | ${text} |`);
     }
   }
@@ -140,25 +300,47 @@ function exportMarkdown(session, summary) {
   return lines.join('\n');
 }
 
+/**
+ * File-system and header safe base name for a session's exports. Labels are
+ * free text (`cam rename`, CAM_AGENT_NAME), so keep only safe characters.
+ */
+function exportBaseName(session) {
+  return session.name.replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^[-.]+|-+$/g, '') || session.id;
+}
+
+/**
+ * Content-Disposition value for a download: an ASCII `filename` plus the
+ * original label as an RFC 5987 `filename*` for clients that support it.
+ * @param {object} session - Session state object.
+ * @param {string} ext - File extension without the dot.
+ * @returns {string}
+ */
+function contentDisposition(session, ext) {
+  const encoded = encodeURIComponent(`${session.name}.${ext}`)
+    .replace(/['()*]/g, (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+  return `attachment; filename="${exportBaseName(session)}.${ext}"; filename*=UTF-8''${encoded}`;
+}
+
 /**
  * Save an export to the exports directory.
  * @param {object} session - Session state object.
  * @param {string} format - 'json' | 'csv' | 'md'
  * @param {string} summary - Summary text.
+ * @param {SessionStore} [store] - See exportSession.
  * @returns {string} Path to the exported file.
  */
-function saveExport(session, format, summary) {
+function saveExport(session, format, summary, store) {
   fs.mkdirSync(EXPORTS_DIR, { recursive: true });
 
   const ext = format === 'json' ? 'json' : format === 'csv' ? 'csv' : 'md';
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-  const filename = `${session.name}_${timestamp}.${ext}`;
+  const filename = `${exportBaseName(session)}_${timestamp}.${ext}`;
   const filePath = path.join(EXPORTS_DIR, filename);
 
-  const content = exportSession(session, format, summary);
+  const content = exportSession(session, format, summary, store);
   fs.writeFileSync(filePath, content, 'utf8');
 
   return filePath;
 }
 
-module.exports = { exportSession, saveExport, EXPORTS_DIR };
+module.exports = { exportSession, saveExport, contentDisposition, EXPORTS_DIR };
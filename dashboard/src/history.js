@@ -0,0 +1,109 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseJsonlLines, buildToolHistory, STATE_DIR } = require('./state');
+const { loadTranscript } = require('./transcript');
+const { loadConfig } = require('./config');
+const { costOf } = require('./cost');
+const { redactEvent } = require('../../hooks/lib/shared');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Session IDs are UUIDs; anything else could escape STATE_DIR
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+// Tool history built from an event list. The store replaces a session's
+// list when lines are appended, so a stale entry is never hit and is
+// collected together with its list.
+const _toolCache = new WeakMap();
+
+// Cache: sessionId -> { source, prices, entries } — masked copy of a loadTranscript() result
+const _transcriptCache = {};
+
+/**
+ * A session's complete event list. The dashboard and web server serve it from
+ * their SessionStore, which already tails every session file; one-shot
+ * commands (cam export) read the file once.
+ * @param {string} sessionId
+ * @param {SessionStore} [store]
+ * @returns {Array|null} null if the session has no file.
+ */
+function loadHistory(sessionId, store) {
+  if (!sessionId || !SAFE_ID.test(sessionId)) return null;
+  if (store) return store.getEvents(sessionId);
+  try {
+    return parseJsonlLines(fs.readFileSync(path.join(STATE_DIR, `${sessionId}.jsonl`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Every tool call of a session, newest first, in the recentTools shape.
+ * @param {object} session - Session state object.
+ * @param {SessionStore} [store]
+ * @returns {Array} Falls back to session.recentTools when the file is gone.
+ */
+function loadToolHistory(session, store) {
+  const events = loadHistory(session.id, store);
+  if (!events) return session.recentTools || [];
+  let tools = _toolCache.get(events);
+  if (!tools) {
+    tools = buildToolHistory(events);
+    _toolCache.set(events, tools);
+  }
+  return tools;
+}
+
+/**
+ * A session's full structured transcript (see transcript.parseTranscript) with
+ * secrets masked and an estimated cost on each assistant entry.
+ * @param {object} session - Session state object.
+ * @param {object} [config] - Config with transcript and modelPrices; loaded when omitted.
+ * @returns {Array<object>} Oldest first; empty when the session has no transcript.
+ */
+function loadFullTranscript(session, config) {
+  const cfg = config || loadConfig();
+  const source = loadTranscript(session.id, session.cwd, cfg.transcript);
+  const prices = JSON.stringify(cfg.modelPrices || {});
+  const cached = _transcriptCache[session.id];
+  if (cached && cached.source === source && cached.prices === prices) return cached.entries;
+
+  const entries = source.map((e) => {
+    const masked = redactEvent(e);
+    return e.usage ? { ...masked, costUsd: costOf(e.model, e.usage, cfg.modelPrices) } : masked;
+  });
+  _transcriptCache[session.id] = { source, prices, entries };
+  return entries;
+}
+
+/**
+ * One page of a session's raw hook events, oldest first. The cursor is the
+ * index of the next event, so cursors stay valid as new events are appended.
+ * @param {string} sessionId
+ * @param {SessionStore} store
+ * @param {{cursor?: number, limit?: number}} [options]
+ * @returns {{events: Array, cursor: number, nextCursor: number|null, total: number}|null}
+ *   null if the session has no file.
+ */
+function pageEvents(sessionId, store, options) {
+  const history = loadHistory(sessionId, store);
+  if (!history) return null;
+
+  const opts = options || {};
+  const cursor = Math.max(0, Math.floor(opts.cursor) || 0);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(opts.limit) || DEFAULT_PAGE_SIZE));
+  const events = history.slice(cursor, cursor + limit);
+  const next = cursor + events.length;
+
+  return {
+    events,
+    cursor,
+    nextCursor: next < history.length ? next : null,
+    total: history.length,
+  };
+}
+
+module.exports = { loadHistory, loadToolHistory, loadFullTranscript, pageEvents, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE };
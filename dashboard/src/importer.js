@@ -0,0 +1,192 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseJsonlFile, STATE_DIR } = require('./state');
+const { parseTranscriptEntry, CLAUDE_PROJECTS_DIR } = require('./transcript');
+const { getAgentName, toolUseFields, capPrompt, writeEvent } = require('../../hooks/lib/shared');
+const {
+  getArchiveBasePath, computeArchivePath, appendToArchive, initArchive, resolveArchivePath,
+} = require('../../hooks/lib/archiver');
+
+// Transcripts written to more recently than this may belong to a running
+// session; they are left for a later import
+const ACTIVE_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * List top-level session transcripts: ~/.claude/projects/<project>/<sessionId>.jsonl
+ * (sub-agent files live in subdirectories and are skipped).
+ * @returns {Array<{sessionId: string, filePath: string, mtime: number}>}
+ */
+function listTranscripts() {
+  let dirs = [];
+  try {
+    dirs = fs.readdirSync(CLAUDE_PROJECTS_DIR);
+  } catch {
+    return [];
+  }
+
+  const result = [];
+  for (const dir of dirs) {
+    let files = [];
+    try {
+      files = fs.readdirSync(path.join(CLAUDE_PROJECTS_DIR, dir)).filter((f) => f.endsWith('.jsonl'));
+    } catch {
+      continue;
+    }
+    for (const file of files) {
+      const filePath = path.join(CLAUDE_PROJECTS_DIR, dir, file);
+      try {
+        result.push({ sessionId: file.slice(0, -6), filePath, mtime: fs.statSync(filePath).mtimeMs });
+      } catch {
+        // Removed while we were listing
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Whether the monitor already has a session: a state file, or an archive mapping.
+ */
+function isCaptured(sessionId) {
+  return fs.existsSync(path.join(STATE_DIR, `${sessionId}.jsonl`)) || !!resolveArchivePath('', sessionId);
+}
+
+/**
+ * Synthesize the hook events of one session from its transcript lines, in the
+ * schema the hooks write: session_start, user_prompt, tool_start/tool_use
+ * (paired by tool_use id, timed by the call and its result), stop at the end
+ * of each turn, and session_end.
+ * @param {string} sessionId
+ * @param {Array<object>} lines - Parsed transcript lines.
+ * @param {{promptMaxLength?: number}} [config]
+ * @returns {Array<object>} Events oldest first; empty when the transcript has no messages.
+ */
+function synthesizeEvents(sessionId, lines, config) {
+  const agentName = getAgentName(sessionId);
+  const base = (ts, event) => ({ ts: new Date(ts).toISOString(), event, session_id: sessionId, agent_name: agentName });
+
+  // Tool results, with Claude Code's raw tool response from the same line
+  const results = new Map();
+  const entries = [];
+  for (const line of lines) {
+    for (const entry of parseTranscriptEntry(line)) {
+      if (!entry.ts) continue;
+      if (entry.type === 'tool_result') {
+        results.set(entry.toolUseId, { ...entry, response: line.toolUseResult });
+      } else {
+        entries.push({ ...entry, meta: !!line.isMeta });
+      }
+    }
+  }
+  if (entries.length === 0) return [];
+
+  const first = lines.find((l) => l.cwd) || {};
+  const assistant = lines.find((l) => l.type === 'assistant' && l.message && l.message.model);
+  const events = [{
+    ...base(entries[0].ts, 'session_start'),
+    cwd: first.cwd || '',
+    model: assistant ? assistant.message.model : 'unknown',
+    source: 'import',
+    tmux_pane: '',
+    tmux_window: '',
+    ...(first.gitBranch ? { git_branch: first.gitBranch } : {}),
+  }];
+
+  let inTurn = false;
+  let lastTs = entries[0].ts;
+  const endTurn = () => {
+    if (inTurn) events.push(base(lastTs, 'stop'));
+    inTurn = false;
+  };
+
+  for (const e of entries) {
+    if (e.type === 'user') {
+      // Meta lines (command caveats and the like) are not prompts
+      if (e.meta) continue;
+      endTurn();
+      const { text, truncated } = capPrompt(e.text, config && config.promptMaxLength);
+      events.push({ ...base(e.ts, 'user_prompt'), prompt: text, ...(truncated ? { prompt_truncated: true } : {}) });
+    } else if (e.type === 'tool_use') {
+      const result = results.get(e.id);
+      const fields = toolUseFields({
+        tool_name: e.name,
+        tool_input: e.input,
+        tool_use_id: e.id,
+        tool_result: result ? result.text : '',
+        tool_response: result ? (result.response !== undefined ? result.response : result.text) : undefined,
+        is_error: !!(result && result.isError),
+      });
+      events.push({ ...base(e.ts, 'tool_start'), tool_name: fields.tool_name, tool_summary: fields.tool_summary, tool_detail: fields.tool_detail, tool_use_id: e.id });
+      events.push({ ...base(result ? result.ts : e.ts, 'tool_use'), ...fields });
+      if (result) lastTs = Math.max(lastTs, result.ts);
+    }
+    inTurn = true;
+    lastTs = Math.max(lastTs, e.ts);
+  }
+  endTurn();
+
+  events.push({ ...base(lastTs, 'session_end'), reason: 'import' });
+  // Results can land after later entries of the same turn
+  return events.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+}
+
+/**
+ * Backfill sessions from Claude Code transcripts the hooks never saw.
+ * Sessions the monitor already has (state file or archive mapping) and
+ * transcripts still being written are skipped.
+ * @param {object} config - Config object (promptMaxLength).
+ * @param {{since?: number, project?: string, sessions?: boolean, dryRun?: boolean}} [options]
+ *   since: only sessions active at or after this time (ms); project: only
+ *   sessions whose cwd is this directory or inside it; sessions: also write the
+ *   sessions directory, not just the archive; dryRun: report without writing.
+ * @returns {{imported: Array, skipped: Array, dryRun: boolean}}
+ *   imported items are { id, cwd, events, startedAt }; skipped are { id, reason }.
+ */
+function importTranscripts(config, options) {
+  const opts = options || {};
+  const dryRun = !!opts.dryRun;
+  const basePath = getArchiveBasePath();
+  const project = opts.project ? path.resolve(opts.project) : '';
+  const now = Date.now();
+  const result = { imported: [], skipped: [], dryRun };
+
+  const transcripts = listTranscripts()
+    .filter((t) => !opts.since || t.mtime >= opts.since)
+    .sort((a, b) => a.mtime - b.mtime);
+
+  for (const t of transcripts) {
+    if (isCaptured(t.sessionId)) continue;
+
+    const events = synthesizeEvents(t.sessionId, parseJsonlFile(t.filePath), config);
+    if (events.length === 0) continue;
+
+    const start = events[0];
+    const cwd = start.cwd;
+    if (project && cwd !== project && !cwd.startsWith(project + path.sep)) continue;
+
+    const lastAt = Date.parse(events[events.length - 1].ts);
+    if (opts.since && lastAt < opts.since) continue;
+    if (now - t.mtime < ACTIVE_WINDOW_MS) {
+      result.skipped.push({ id: t.sessionId, reason: 'still active' });
+      continue;
+    }
+
+    if (!dryRun) {
+      if (basePath) {
+        initArchive(basePath, start);
+        const archiveFile = computeArchivePath(basePath, t.sessionId, new Date(start.ts));
+        for (const e of events.slice(1)) appendToArchive(archiveFile, e);
+      }
+      if (opts.sessions) {
+        for (const e of events) writeEvent(t.sessionId, e);
+      }
+    }
+    result.imported.push({ id: t.sessionId, cwd, events: events.length, startedAt: Date.parse(start.ts) });
+  }
+
+  return result;
+}
+
+module.exports = { importTranscripts, synthesizeEvents, listTranscripts };
@@ -0,0 +1,64 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// sessionId -> custom label, set with `cam rename` or [R] in the dashboard
+const LABELS_PATH = path.join(os.homedir(), '.claude', 'agent-monitor', 'labels.json');
+
+const MAX_LABEL_LENGTH = 40;
+
+// Cache: { labels, mtime } — labels are read on every refresh
+let _cache = null;
+
+/**
+ * Normalize a label: collapse whitespace and cap its length.
+ * @returns {string} '' when nothing usable is left.
+ */
+function cleanLabel(label) {
+  return String(label || '').replace(/\s+/g, ' ').trim().slice(0, MAX_LABEL_LENGTH);
+}
+
+/**
+ * Load all label overrides, cached on the file's mtime.
+ * @returns {Object<string, string>} sessionId -> label
+ */
+function loadLabels() {
+  try {
+    const mtime = fs.statSync(LABELS_PATH).mtimeMs;
+    if (_cache && _cache.mtime === mtime) return _cache.labels;
+    const parsed = JSON.parse(fs.readFileSync(LABELS_PATH, 'utf8'));
+    const labels = {};
+    for (const [id, label] of Object.entries(parsed && typeof parsed === 'object' ? parsed : {})) {
+      const clean = cleanLabel(label);
+      if (clean) labels[id] = clean;
+    }
+    _cache = { labels, mtime };
+    return labels;
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Set or clear a session's label.
+ * @param {string} sessionId
+ * @param {string} label - New label; empty clears the override.
+ * @returns {string} The stored label ('' when cleared).
+ */
+function setLabel(sessionId, label) {
+  const labels = { ...loadLabels() };
+  const clean = cleanLabel(label);
+  if (clean) {
+    labels[sessionId] = clean;
+  } else {
+    delete labels[sessionId];
+  }
+  fs.mkdirSync(path.dirname(LABELS_PATH), { recursive: true });
+  fs.writeFileSync(LABELS_PATH, JSON.stringify(labels, null, 2) + '\n', 'utf8');
+  _cache = null;
+  return clean;
+}
+
+module.exports = { loadLabels, setLabel, cleanLabel, LABELS_PATH, MAX_LABEL_LENGTH };
@@ -3,6 +3,8 @@
 const { execSync } = require('child_process');
 const os = require('os');
 
+const DEFAULT_ERROR_STREAK = 3;
+
 /**
  * Send a macOS desktop notification via osascript.
  * No-op on non-macOS platforms.
@@ -26,66 +28,96 @@ function notify(title, message) {
 }
 
 /**
- * Detect meaningful session transitions between two snapshots.
- * Returns an array of {type, session} objects for transitions that warrant notification.
+ * Detect meaningful transitions of one session between two builds of it.
  *
  * Detectable transitions:
- * - session_end: A session that was active/idle is now ended
+ * - session_end: A session that was active/idle/waiting is now ended
+ * - session_crashed: A live session's agent process died without ending the session
+ * - became_waiting: A session is now blocked on a permission prompt
  * - became_idle: A session that was active is now idle (agent stopped responding)
  * - became_stale: A session that was active is now stale (5+ min unresponsive)
+ * - error_streak: A session just reached N consecutive failed tool calls
  * - new_tool_activity: A session gained new tool usage
  * - new_messages: A session has new conversation messages
  *
+ * @param {object} old - Previous state of the session.
+ * @param {object} cur - Current state of the session.
+ * @param {object} [options]
+ * @param {number} [options.errorStreak=3] - Consecutive failures that trigger error_streak.
+ * @returns {Array<{type: string, session: object}>}
+ */
+function detectSessionTransitions(old, cur, options) {
+  const transitions = [];
+  if (!old || !cur) return transitions;
+
+  const errorStreak = (options && options.errorStreak > 0) ? options.errorStreak : DEFAULT_ERROR_STREAK;
+
+  // Active/idle/waiting → ended
+  if (
+    (old.status === 'active' || old.status === 'idle' || old.status === 'waiting') &&
+    cur.status === 'ended'
+  ) {
+    transitions.push({ type: 'session_end', session: cur });
+  }
+
+  // Live → crashed (terminal closed, crash or kill; no SessionEnd was written)
+  if (old.status !== 'ended' && old.status !== 'crashed' && cur.status === 'crashed') {
+    transitions.push({ type: 'session_crashed', session: cur });
+  }
+
+  // Any → waiting (blocked on a permission prompt)
+  if (old.status !== 'waiting' && cur.status === 'waiting') {
+    transitions.push({ type: 'became_waiting', session: cur });
+  }
+
+  // Active → idle (agent stopped)
+  if (old.status === 'active' && cur.status === 'idle') {
+    transitions.push({ type: 'became_idle', session: cur });
+  }
+
+  // Active → stale (agent unresponsive)
+  if (old.status === 'active' && cur.status === 'stale') {
+    transitions.push({ type: 'became_stale', session: cur });
+  }
+
+  // Run of failed tool calls crossed the threshold
+  if ((old.consecutiveErrors || 0) < errorStreak && (cur.consecutiveErrors || 0) >= errorStreak) {
+    transitions.push({ type: 'error_streak', session: cur });
+  }
+
+  // New tool activity (toolCount increased)
+  if (cur.toolCount > old.toolCount) {
+    const lastTool = (cur.recentTools && cur.recentTools[0])
+      ? cur.recentTools[0].toolName
+      : 'tool';
+    transitions.push({ type: 'new_tool_activity', session: cur, detail: lastTool });
+  }
+
+  // New conversation messages (messageCount increased)
+  if ((cur.messageCount || 0) > (old.messageCount || 0)) {
+    transitions.push({ type: 'new_messages', session: cur });
+  }
+
+  return transitions;
+}
+
+/**
+ * Detect transitions between two snapshots of the session list.
+ * Sessions missing from either snapshot are skipped.
  * @param {Array} prev - Previous sessions array.
  * @param {Array} current - Current sessions array.
+ * @param {object} [options] - See detectSessionTransitions().
  * @returns {Array<{type: string, session: object}>}
  */
-function detectTransitions(prev, current) {
-  const transitions = [];
-  if (!prev || !current) return transitions;
+function detectTransitions(prev, current, options) {
+  if (!prev || !current) return [];
 
   const prevMap = new Map();
   for (const s of prev) {
     prevMap.set(s.id, s);
   }
 
-  for (const cur of current) {
-    const old = prevMap.get(cur.id);
-    if (!old) continue;
-
-    // Active/idle → ended
-    if (
-      (old.status === 'active' || old.status === 'idle') &&
-      cur.status === 'ended'
-    ) {
-      transitions.push({ type: 'session_end', session: cur });
-    }
-
-    // Active → idle (agent stopped)
-    if (old.status === 'active' && cur.status === 'idle') {
-      transitions.push({ type: 'became_idle', session: cur });
-    }
-
-    // Active → stale (agent unresponsive)
-    if (old.status === 'active' && cur.status === 'stale') {
-      transitions.push({ type: 'became_stale', session: cur });
-    }
-
-    // New tool activity (toolCount increased)
-    if (cur.toolCount > old.toolCount) {
-      const lastTool = (cur.recentTools && cur.recentTools[0])
-        ? cur.recentTools[0].toolName
-        : 'tool';
-      transitions.push({ type: 'new_tool_activity', session: cur, detail: lastTool });
-    }
-
-    // New conversation messages (messageCount increased)
-    if ((cur.messageCount || 0) > (old.messageCount || 0)) {
-      transitions.push({ type: 'new_messages', session: cur });
-    }
-  }
-
-  return transitions;
+  return current.flatMap((cur) => detectSessionTransitions(prevMap.get(cur.id), cur, options));
 }
 
-module.exports = { notify, detectTransitions };
+module.exports = { notify, detectTransitions, detectSessionTransitions };
@@ -0,0 +1,237 @@
+'use strict';
+
+const https = require('https');
+const http = require('http');
+const { KEYLESS_PROVIDERS } = require('./config');
+
+const REQUEST_TIMEOUT_MS = 10000; // per attempt; local models get longer (see ADAPTERS)
+const MAX_RETRIES = 2;            // retries after the first attempt, for retryable errors only
+const BACKOFF_MS = 500;           // doubled on every retry
+const MAX_RETRY_AFTER_MS = 10000; // cap on a server's Retry-After
+
+/**
+ * A failed completion request.
+ * code: 'config' | 'network' | 'timeout' | 'http' | 'response'
+ * status: the HTTP status, for 'http' errors.
+ * retryable: network errors, timeouts, 429 and 5xx responses.
+ */
+class ProviderError extends Error {
+  constructor(message, { code, status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Request URL for an adapter endpoint. `baseUrl` may include the API version
+ * (https://api.openai.com/v1) or not (http://localhost:1234); without one,
+ * the adapter's default version prefix is added.
+ */
+function endpointUrl(baseUrl, adapter) {
+  let parsed;
+  try {
+    parsed = new URL(baseUrl);
+  } catch {
+    throw new ProviderError(`Invalid base URL: ${baseUrl || '(empty)'}`, { code: 'config' });
+  }
+  let basePath = parsed.pathname.replace(/\/+$/, '');
+  if (adapter.stripSuffix && basePath.endsWith(adapter.stripSuffix)) {
+    basePath = basePath.slice(0, -adapter.stripSuffix.length);
+  }
+  if (adapter.versionPrefix && !/\/v\d+[a-z0-9]*$/.test(basePath)) {
+    basePath += adapter.versionPrefix;
+  }
+  parsed.pathname = basePath + adapter.path;
+  return parsed;
+}
+
+/**
+ * Deterministic stand-in for a model: the same prompt always gives the same
+ * text, so summarization runs (and can be tested) offline.
+ */
+function mockComplete(prompt, maxTokens) {
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < prompt.length; i++) {
+    hash ^= prompt.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  const digest = hash.toString(16).padStart(8, '0');
+  // Short budgets are topic titles, which must stay short
+  return maxTokens <= 60
+    ? `Mock topic ${digest.slice(0, 4)}`
+    : `Mock summary ${digest} of a ${prompt.length}-character prompt`;
+}
+
+// Wire formats. Each adapter builds the request and pulls the text out of the response.
+const ADAPTERS = {
+  anthropic: {
+    path: '/messages',
+    versionPrefix: '/v1',
+    headers: (config) => ({ 'x-api-key': config.apiKey, 'anthropic-version': '2023-06-01' }),
+    body: (config, prompt, maxTokens) => ({
+      model: config.model,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: prompt }],
+    }),
+    text: (data) => {
+      const block = (data.content || []).find((b) => b && b.type === 'text');
+      return block ? block.text : null;
+    },
+  },
+  openai: {
+    path: '/chat/completions',
+    versionPrefix: '/v1',
+    headers: (config) => (config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+    body: (config, prompt, maxTokens) => ({
+      model: config.model,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: prompt }],
+    }),
+    text: (data) => {
+      const choice = data.choices && data.choices[0];
+      return choice && choice.message ? choice.message.content : null;
+    },
+  },
+  ollama: {
+    path: '/api/chat',
+    stripSuffix: '/api',
+    timeoutMs: 30000, // the first request loads the model
+    headers: () => ({}),
+    body: (config, prompt, maxTokens) => ({
+      model: config.model,
+      stream: false,
+      options: { num_predict: maxTokens },
+      messages: [{ role: 'user', content: prompt }],
+    }),
+    text: (data) => (data.message ? data.message.content : null),
+  },
+};
+
+// Provider name -> adapter. Unknown providers speak the OpenAI format, as `custom` does.
+const PROVIDER_ADAPTERS = {
+  anthropic: 'anthropic',
+  openai: 'openai',
+  custom: 'openai',
+  ollama: 'ollama',
+  mock: 'mock',
+};
+
+function adapterName(config) {
+  return PROVIDER_ADAPTERS[config.provider] || 'openai';
+}
+
+/**
+ * Whether AI summaries are configured: mock needs nothing, Ollama and custom
+ * endpoints (which may be local, keyless servers) a base URL, and the hosted
+ * providers an API key.
+ */
+function isConfigured(config) {
+  if (!config) return false;
+  if (config.provider === 'mock') return true;
+  if (KEYLESS_PROVIDERS.has(config.provider) || config.provider === 'custom') return !!config.baseUrl;
+  return !!config.apiKey;
+}
+
+/**
+ * One POST with a JSON body; resolves with the parsed JSON response.
+ */
+function postJson(target, headers, payload, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify(payload);
+    const mod = target.protocol === 'https:' ? https : http;
+    const req = mod.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers,
+      },
+      timeout: timeoutMs,
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('error', (err) => reject(new ProviderError(err.message, { code: 'network', retryable: true })));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString();
+        let data = null;
+        try {
+          data = JSON.parse(raw);
+        } catch {
+          // Reported below
+        }
+
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const detail = data && data.error
+            ? (typeof data.error === 'string' ? data.error : data.error.message || '')
+            : raw.slice(0, 200);
+          const retryAfter = parseInt(res.headers['retry-after'], 10);
+          reject(new ProviderError(`HTTP ${res.statusCode}${detail ? `: ${detail}` : ''}`, {
+            code: 'http',
+            status: res.statusCode,
+            retryable: res.statusCode === 429 || res.statusCode >= 500,
+            retryAfterMs: retryAfter >= 0 ? Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS) : null,
+          }));
+          return;
+        }
+        if (!data) {
+          reject(new ProviderError('Response is not JSON', { code: 'response' }));
+          return;
+        }
+        resolve(data);
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new ProviderError(`No response within ${timeoutMs / 1000}s`, { code: 'timeout', retryable: true }));
+    });
+    req.on('error', (err) => {
+      reject(err instanceof ProviderError ? err : new ProviderError(err.message, { code: 'network', retryable: true }));
+    });
+
+    req.end(body);
+  });
+}
+
+/**
+ * Send a single-message prompt to the configured provider.
+ * Retryable failures are retried with exponential backoff (honouring Retry-After).
+ * @param {object} config - Config object (provider, apiKey, baseUrl, model).
+ * @param {string} prompt - The user message.
+ * @param {{maxTokens?: number, timeoutMs?: number, retries?: number}} [options]
+ * @returns {Promise<string>} The model's reply, trimmed.
+ * @throws {ProviderError}
+ */
+async function complete(config, prompt, options) {
+  const opts = options || {};
+  const maxTokens = opts.maxTokens || 100;
+  const name = adapterName(config);
+
+  if (name === 'mock') return mockComplete(prompt, maxTokens);
+
+  const adapter = ADAPTERS[name];
+  const target = endpointUrl(config.baseUrl, adapter);
+  const timeoutMs = opts.timeoutMs || adapter.timeoutMs || REQUEST_TIMEOUT_MS;
+  const retries = opts.retries != null ? opts.retries : MAX_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const data = await postJson(target, adapter.headers(config), adapter.body(config, prompt, maxTokens), timeoutMs);
+      const text = adapter.text(data);
+      if (typeof text !== 'string' || !text.trim()) {
+        throw new ProviderError('Response has no text', { code: 'response' });
+      }
+      return text.trim();
+    } catch (err) {
+      if (!err.retryable || attempt >= retries) throw err;
+      const delay = err.retryAfterMs != null ? err.retryAfterMs : BACKOFF_MS * 2 ** attempt;
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = { complete, isConfigured, endpointUrl, ProviderError, ADAPTERS };
@@ -3,95 +3,63 @@
 const path = require('path');
 
 /**
- * Detect parent-child relationships between sessions.
- * A child session is one that was spawned by a Task tool call in a parent session.
- * Detection: parent has a Task tool_use event, and a new session starts within 5s.
- *
- * @param {Array} sessions - All sessions sorted by lastEventAt (newest first).
- * @returns {Map<string, string>} childId -> parentId
+ * Build the render tree for a list of sessions: each session followed by the
+ * sub-agents its Task calls spawned, depth-first. Sub-agents are linked to
+ * their parent by Task tool_use id (see state.buildSubagents), not by timing.
+ * @param {Array} sessions - Sessions to organize, in display order.
+ * @returns {Array<{session, subagent, depth, isChild, isLast, moreSubagents?}>}
+ *   Session nodes have depth 0 and no subagent; sub-agent nodes have depth 1,
+ *   carry their parent in `session`, and `isLast` marks the final sibling.
+ *   Sub-agents the session does not list (see state.capSubagents) are counted
+ *   by a last depth-1 node with `moreSubagents` and no subagent.
  */
-function detectParentChild(sessions) {
-  const parentMap = new Map();
-
-  // Collect all Task tool timestamps per session
-  const taskCalls = new Map(); // sessionId -> [{ts}]
+function buildSessionTree(sessions) {
+  const result = [];
   for (const s of sessions) {
-    const calls = (s.recentTools || [])
-      .filter((t) => t.toolName === 'Task')
-      .map((t) => t.ts);
-    if (calls.length > 0) {
-      taskCalls.set(s.id, calls);
-    }
-  }
-
-  // For each session, check if it started close to a Task call in another session
-  for (const child of sessions) {
-    if (parentMap.has(child.id)) continue;
-
-    for (const [parentId, calls] of taskCalls) {
-      if (parentId === child.id) continue;
-
-      // Check if any Task call in parent is within 5s of child's earliest event
-      const childStart = child.lastEventAt - (child.toolCount * 2000); // rough estimate
-      for (const callTs of calls) {
-        if (Math.abs(callTs - childStart) < 5000) {
-          parentMap.set(child.id, parentId);
-          break;
-        }
-      }
-      if (parentMap.has(child.id)) break;
+    result.push({ session: s, subagent: null, depth: 0, isChild: false, isLast: false });
+    const children = s.subagents || [];
+    const hidden = Math.max(0, (s.subagentCount || 0) - children.length);
+    children.forEach((sub, i) => {
+      result.push({
+        session: s,
+        subagent: sub,
+        depth: 1,
+        isChild: true,
+        isLast: i === children.length - 1 && hidden === 0,
+      });
+    });
+    if (hidden > 0) {
+      result.push({ session: s, subagent: null, depth: 1, isChild: true, isLast: true, moreSubagents: hidden });
     }
   }
-
-  return parentMap;
+  return result;
 }
 
 /**
- * Build a session tree: depth-first flattened array with depth info.
- * @param {Array} sessions - Sessions to organize.
- * @param {Map} parentMap - childId -> parentId mapping.
- * @returns {Array<{session, depth, isChild}>}
+ * Project name for a session: the git repository root's basename, so sessions
+ * started in different subdirectories of one repo land together. Falls back to
+ * the working directory basename outside git.
+ * @param {object} session
+ * @returns {string} Project name, or '' when neither is known.
  */
-function buildSessionTree(sessions, parentMap) {
-  const childrenOf = new Map(); // parentId -> [session]
-  const topLevel = [];
-  const childIds = new Set(parentMap.keys());
-
-  for (const s of sessions) {
-    if (childIds.has(s.id)) {
-      const parentId = parentMap.get(s.id);
-      if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
-      childrenOf.get(parentId).push(s);
-    } else {
-      topLevel.push(s);
-    }
-  }
-
-  const result = [];
-  for (const s of topLevel) {
-    result.push({ session: s, depth: 0, isChild: false });
-    const children = childrenOf.get(s.id) || [];
-    for (const child of children) {
-      result.push({ session: child, depth: 1, isChild: true });
-    }
-  }
-
-  return result;
+function projectOf(session) {
+  const dir = (session.git && session.git.root) || session.cwd;
+  return dir ? path.basename(dir) : '';
 }
 
 /**
- * Group sessions by project (working directory basename).
+ * Group sessions by project (git root or working directory basename).
  * @param {Array} sessions - All sessions.
  * @returns {Map<string, Array>} projectName -> sessions[]
  */
 function groupSessionsByProject(sessions) {
   const groups = new Map();
   for (const s of sessions) {
-    const project = s.cwd ? path.basename(s.cwd) : 'unknown';
+    const project = projectOf(s) || 'unknown';
     if (!groups.has(project)) groups.set(project, []);
     groups.get(project).push(s);
   }
   return groups;
 }
 
-module.exports = { detectParentChild, buildSessionTree, groupSessionsByProject };
+module.exports = { buildSessionTree, groupSessionsByProject, projectOf };
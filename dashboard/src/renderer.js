@@ -1,13 +1,15 @@
 'use strict';
 
-const path = require('path');
 const { buildTimeline } = require('./timeline');
-const { groupSessionsByProject, detectParentChild, buildSessionTree } = require('./relationships');
+const { groupSessionsByProject, buildSessionTree, projectOf } = require('./relationships');
+const { formatTokens, formatCost } = require('./cost');
+const { isConfigured } = require('./provider');
 
 // ANSI color codes
 const RESET = '\x1b[0m';
 const BOLD = '\x1b[1m';
 const DIM = '\x1b[2m';
+const RED = '\x1b[31m';
 const GREEN = '\x1b[32m';
 const YELLOW = '\x1b[33m';
 const CYAN = '\x1b[36m';
@@ -18,12 +20,22 @@ const BG_NONE = '';
 
 const STATUS_ICONS = {
   active: `${GREEN}\u25cf${RESET}`,   // filled circle, green
+  waiting: `${RED}\u25c6${RESET}`,    // filled diamond, red
+  paused: `${MAGENTA}\u2016${RESET}`, // double bar, magenta
   idle: `${YELLOW}\u25cb${RESET}`,    // empty circle, yellow
   stale: `${GRAY}\u25cb${RESET}`,     // empty circle, gray
   ended: `${GRAY}\u2715${RESET}`,     // x mark, gray
+  crashed: `${RED}\u2715${RESET}`,    // x mark, red
   unknown: `${GRAY}?${RESET}`,
 };
 
+const SUBAGENT_ICONS = {
+  running: `${GREEN}\u25cf${RESET}`,     // filled circle, green
+  done: `${GRAY}\u2713${RESET}`,         // check mark, gray
+  error: `${RED}\u2715${RESET}`,         // x mark, red
+  interrupted: `${YELLOW}\u25cb${RESET}`, // empty circle, yellow
+};
+
 // Box-drawing characters
 const BOX = {
   tl: '\u250c', tr: '\u2510', bl: '\u2514', br: '\u2518',
@@ -103,6 +115,18 @@ function formatElapsed(timestampMs) {
   return `${hours}h`;
 }
 
+/**
+ * Format a duration in ms as a compact clock-style string (e.g. "45s", "2m13s", "1h05m").
+ */
+function formatDuration(ms) {
+  const seconds = Math.floor(Math.max(0, ms) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m${String(seconds % 60).padStart(2, '0')}s`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h${String(minutes % 60).padStart(2, '0')}m`;
+}
+
 /**
  * Truncate string to fit within maxCols display columns, adding ellipsis if needed.
  */
@@ -121,14 +145,6 @@ function truncate(str, maxCols) {
   return str.slice(0, i) + '\u2026';
 }
 
-/**
- * Get the project name from cwd (basename).
- */
-function projectName(cwd) {
-  if (!cwd) return '';
-  return path.basename(cwd);
-}
-
 /**
  * Word-wrap text to fit within maxCols display columns.
  * Handles CJK text (no spaces) by breaking at character boundaries.
@@ -208,7 +224,8 @@ function renderPanelHeader(session, innerWidth, isFocused) {
 
   const icon = STATUS_ICONS[session.status] || STATUS_ICONS.unknown;
   const name = truncate(session.name, 16);
-  const proj = truncate(projectName(session.cwd), 20);
+  const proj = truncate(projectOf(session), 20);
+  const branch = session.git && session.git.branch ? truncate(session.git.branch, 24) : '';
   const elapsed = formatElapsed(session.lastEventAt);
 
   // Tmux window label (e.g., "[2:work]")
@@ -216,20 +233,30 @@ function renderPanelHeader(session, innerWidth, isFocused) {
     ? `${CYAN}[${session.tmuxWindow}]${RESET} `
     : '';
 
-  // Build the header text: ─ ● name ─ [2:work] project ──── elapsed ─
+  // Git branch next to the project (e.g., "⎇ main")
+  const branchLabel = branch ? `${MAGENTA}\u2387 ${branch}${RESET} ` : '';
+
+  // Running token total and estimated cost (e.g., "1.2M tok $3.41")
+  const usagePart = session.usage
+    ? ` ${DIM}${formatTokens(session.usage.total)} tok${RESET} ${YELLOW}${formatCost(session.usage.costUsd)}${RESET} `
+    : '';
+
+  // Build the header text: ─ ● name ─ [2:work] project ⎇ branch ──── 1.2M tok $3.41 ─ elapsed ─
   const label = ` ${icon} ${name} `;
-  const projPart = proj ? `${tmuxLabel}${DIM}${proj}${RESET} ` : '';
+  const projPart = proj ? `${tmuxLabel}${DIM}${proj}${RESET} ${branchLabel}` : '';
   const elapsedPart = ` ${elapsed} `;
 
   const labelVW = visibleWidth(label);
   const projVW = visibleWidth(projPart);
+  const usageVW = usagePart ? visibleWidth(usagePart) + 1 : 0;
   const elapsedVW = displayWidth(elapsedPart);
 
   // Fill remaining width with horizontal lines
-  const fillLen = Math.max(0, innerWidth - labelVW - projVW - elapsedVW);
+  const fillLen = Math.max(0, innerWidth - labelVW - projVW - usageVW - elapsedVW);
   const fill = hChar.repeat(fillLen);
+  const usageSeg = usagePart ? `${RESET}${usagePart}${borderColor}${hChar}` : '';
 
-  return `${borderColor}${tlChar}${hChar}${RESET}${label}${borderColor}${hChar}${RESET} ${projPart}${borderColor}${fill}${elapsedPart}${hChar}${trChar}${RESET}`;
+  return `${borderColor}${tlChar}${hChar}${RESET}${label}${borderColor}${hChar}${RESET} ${projPart}${borderColor}${fill}${usageSeg}${elapsedPart}${hChar}${trChar}${RESET}`;
 }
 
 /**
@@ -273,6 +300,61 @@ function renderSummaryLines(summary, innerWidth) {
   return lines;
 }
 
+/**
+ * Render the policy guard's blocked-call counter with the latest denied call,
+ * e.g. "⊘ 2 blocked by policy · last: Bash rm -rf / (no-rm-rf)".
+ * @param {object|null} policy - session.policy from state.js
+ * @param {number} innerWidth - Available inner width
+ * @returns {string|null} Line content, or null when nothing was blocked.
+ */
+function renderPolicyLine(policy, innerWidth) {
+  if (!policy || policy.blocked === 0) return null;
+  const last = policy.recent.find((d) => d.decision === 'deny');
+  const lastText = last ? ` \u00b7 last: ${last.toolName} ${last.toolSummary}${last.rule ? ` (${last.rule})` : ''}` : '';
+  const text = truncate(`${policy.blocked} blocked by policy${lastText}`, innerWidth - 2);
+  return `${RED}\u2298${RESET} ${text}`;
+}
+
+/**
+ * Render "running: Bash npm test (2m13s)" lines for in-flight tool calls.
+ * @param {Array} runningTools - Array of {toolName, toolSummary, startedAt}
+ * @param {number} innerWidth - Available inner width
+ */
+function renderRunningLines(runningTools, innerWidth) {
+  if (!runningTools || runningTools.length === 0) return [];
+
+  return runningTools.map((t) => {
+    const suffix = ` (${formatDuration(Date.now() - t.startedAt)})`;
+    const prefix = `${GREEN}\u25B6${RESET} running: `;
+    const prefixVisW = 11; // "▶ running: " = 11 visible chars
+    const maxCols = innerWidth - prefixVisW - suffix.length;
+    const toolText = truncate(`${t.toolName} ${t.toolSummary}`, maxCols);
+    return `${prefix}${toolText}${DIM}${suffix}${RESET}`;
+  });
+}
+
+// Visible width of the bullet in front of each tool line ("  • ")
+const TOOL_BULLET_WIDTH = 4;
+
+/**
+ * Bullet for a tool line: a red ✕ when the call failed, a plain dot otherwise.
+ * @param {object} t - Tool entry (recentTools item or timeline entry).
+ */
+function toolBullet(t) {
+  return t.error ? `  ${RED}\u2715${RESET} ` : `  \u2022 `;
+}
+
+/**
+ * One-line description of a failed tool call, e.g. "exit 1: npm ERR! missing script".
+ * @param {{type: string, exitCode: number|null, message: string}} error
+ */
+function describeToolError(error) {
+  let label = 'failed';
+  if (error.type === 'interrupted') label = 'interrupted';
+  else if (error.exitCode !== null && error.exitCode !== undefined) label = `exit ${error.exitCode}`;
+  return error.message ? `${label}: ${error.message}` : label;
+}
+
 /**
  * Render tool history lines with scroll offset.
  * @param {Array} recentTools - Array of {toolName, toolSummary, toolDetail, ts}
@@ -289,9 +371,9 @@ function renderToolLines(recentTools, innerWidth, scrollOffset, maxLines) {
   const allLines = recentTools.map((t) => {
     const elapsed = formatToolElapsed(t.ts);
     const elapsedStr = elapsed.padStart(4);
-    const prefix = `  \u2022 `;
+    const prefix = toolBullet(t);
     const suffix = `  ${elapsedStr}`;
-    const maxToolCols = innerWidth - prefix.length - suffix.length;
+    const maxToolCols = innerWidth - TOOL_BULLET_WIDTH - suffix.length;
     const toolText = truncate(`${t.toolName} ${t.toolSummary}`, maxToolCols);
     const toolPad = Math.max(0, maxToolCols - displayWidth(toolText));
     return `${prefix}${toolText}${' '.repeat(toolPad)}${DIM}${suffix}${RESET}`;
@@ -312,6 +394,18 @@ function renderToolLines(recentTools, innerWidth, scrollOffset, maxLines) {
   return visible;
 }
 
+/**
+ * Render a context compaction as a full-width divider in the timeline.
+ * @param {object} entry - Timeline entry of type 'compact'.
+ * @param {number} innerWidth - Available inner width
+ * @param {string} suffix - Right-aligned elapsed time
+ */
+function renderCompactLine(entry, innerWidth, suffix) {
+  const label = ` context compacted (${entry.trigger}) `;
+  const fill = Math.max(2, innerWidth - 4 - label.length - suffix.length);
+  return `  ${YELLOW}${BOX.h}${BOX.h}${label}${BOX.h.repeat(fill)}${RESET}${DIM}${suffix}${RESET}`;
+}
+
 /**
  * Render timeline lines (interleaved tools + messages) with scroll offset.
  * @param {Array} recentTools - Array of {toolName, toolSummary, toolDetail, ts, ...}
@@ -319,10 +413,11 @@ function renderToolLines(recentTools, innerWidth, scrollOffset, maxLines) {
  * @param {number} innerWidth - Available inner width
  * @param {number} scrollOffset - How many lines to skip from top
  * @param {number} maxLines - Max visible lines (default 5)
+ * @param {Array} [compactions] - Array of {trigger, ts}
  */
-function renderTimelineLines(recentTools, conversation, innerWidth, scrollOffset, maxLines) {
+function renderTimelineLines(recentTools, conversation, innerWidth, scrollOffset, maxLines, compactions) {
   const visibleLines = maxLines || 5;
-  const timeline = buildTimeline(recentTools, conversation);
+  const timeline = buildTimeline(recentTools, conversation, compactions);
 
   if (timeline.length === 0) {
     return [`${DIM}  (no activity)${RESET}`];
@@ -334,11 +429,13 @@ function renderTimelineLines(recentTools, conversation, innerWidth, scrollOffset
     const suffix = `  ${elapsedStr}`;
 
     if (entry.type === 'tool') {
-      const prefix = `  \u2022 `;
-      const maxToolCols = innerWidth - prefix.length - suffix.length;
+      const prefix = toolBullet(entry);
+      const maxToolCols = innerWidth - TOOL_BULLET_WIDTH - suffix.length;
       const toolText = truncate(`${entry.toolName} ${entry.toolSummary}`, maxToolCols);
       const toolPad = Math.max(0, maxToolCols - displayWidth(toolText));
       return `${prefix}${toolText}${' '.repeat(toolPad)}${DIM}${suffix}${RESET}`;
+    } else if (entry.type === 'compact') {
+      return renderCompactLine(entry, innerWidth, suffix);
     } else if (entry.type === 'user_message') {
       const prefix = `  ${MAGENTA}U:${RESET} `;
       const prefixVisW = 5; // "  U: " = 5 visible chars
@@ -375,9 +472,9 @@ function renderTimelineLines(recentTools, conversation, innerWidth, scrollOffset
 /**
  * Render expanded timeline lines showing 2 lines per tool entry (detail + result).
  */
-function renderExpandedTimelineLines(recentTools, conversation, innerWidth, scrollOffset, maxLines) {
+function renderExpandedTimelineLines(recentTools, conversation, innerWidth, scrollOffset, maxLines, compactions) {
   const visibleLines = maxLines || 10;
-  const timeline = buildTimeline(recentTools, conversation);
+  const timeline = buildTimeline(recentTools, conversation, compactions);
 
   if (timeline.length === 0) {
     return [`${DIM}  (no activity)${RESET}`];
@@ -391,8 +488,8 @@ function renderExpandedTimelineLines(recentTools, conversation, innerWidth, scro
 
     if (entry.type === 'tool') {
       // Line 1: tool name + summary
-      const prefix = `  \u2022 `;
-      const maxToolCols = innerWidth - prefix.length - suffix.length;
+      const prefix = toolBullet(entry);
+      const maxToolCols = innerWidth - TOOL_BULLET_WIDTH - suffix.length;
       const toolText = truncate(`${entry.toolName} ${entry.toolSummary}`, maxToolCols);
       const toolPad = Math.max(0, maxToolCols - displayWidth(toolText));
       allLines.push(`${prefix}${toolText}${' '.repeat(toolPad)}${DIM}${suffix}${RESET}`);
@@ -407,10 +504,22 @@ function renderExpandedTimelineLines(recentTools, conversation, innerWidth, scro
       if (entry.toolResultBrief) {
         detailText += detailText ? ` \u2192 ${entry.toolResultBrief}` : `\u2192 ${entry.toolResultBrief}`;
       }
+      if (entry.durationMs != null) {
+        detailText += detailText ? ` (${formatDuration(entry.durationMs)})` : `(${formatDuration(entry.durationMs)})`;
+      }
+      if (entry.redacted) {
+        detailText += detailText ? ' [secrets masked]' : '[secrets masked]';
+      }
       if (detailText) {
         const truncDetail = truncate(detailText, maxDetailCols);
         allLines.push(`${DIM}${detailPrefix}${truncDetail}${RESET}`);
       }
+      if (entry.error) {
+        const errText = truncate(describeToolError(entry.error), maxDetailCols);
+        allLines.push(`${RED}${detailPrefix}${errText}${RESET}`);
+      }
+    } else if (entry.type === 'compact') {
+      allLines.push(renderCompactLine(entry, innerWidth, suffix));
     } else if (entry.type === 'user_message') {
       const prefix = `  ${MAGENTA}U:${RESET} `;
       const prefixVisW = 5;
@@ -442,6 +551,122 @@ function renderExpandedTimelineLines(recentTools, conversation, innerWidth, scro
   return visible;
 }
 
+// Max checklist items shown in an expanded panel
+const PLAN_MAX_ITEMS = 10;
+
+/**
+ * Render the session's TodoWrite plan: a progress line with the current item,
+ * plus the full checklist when the panel is expanded.
+ *   ☰ [████░░░░░░] 3/7  ▶ Running the test suite
+ * @param {object} plan - session.plan from state.js (may be null).
+ * @param {number} innerWidth - Available inner width
+ * @param {boolean} isExpanded - Whether the panel is expanded
+ */
+function renderPlanLines(plan, innerWidth, isExpanded) {
+  if (!plan || plan.total === 0) return [];
+
+  const barWidth = 10;
+  const filled = Math.round((plan.completed / plan.total) * barWidth);
+  const bar = `${GREEN}${'\u2588'.repeat(filled)}${RESET}${DIM}${'\u2591'.repeat(barWidth - filled)}${RESET}`;
+  const count = `${plan.completed}/${plan.total}`;
+  const head = `${CYAN}\u2630${RESET} [${bar}] ${count}`;
+  const headW = 2 + 1 + barWidth + 2 + count.length; // "☰ [" + bar + "] " + count
+
+  let currentText = '';
+  if (plan.current) {
+    currentText = plan.current.activeForm || plan.current.content;
+  } else if (plan.completed === plan.total) {
+    currentText = 'all done';
+  }
+  const lines = [currentText
+    ? `${head}  ${YELLOW}\u25B6${RESET} ${truncate(currentText, innerWidth - headW - 4)}`
+    : head];
+
+  if (isExpanded) {
+    const icons = {
+      completed: `${GREEN}\u2713${RESET}`,
+      in_progress: `${YELLOW}\u25B6${RESET}`,
+      pending: `${DIM}\u25CB${RESET}`,
+    };
+    for (const t of plan.todos.slice(0, PLAN_MAX_ITEMS)) {
+      const text = truncate(t.content, innerWidth - 6);
+      const styled = t.status === 'completed' ? `${DIM}${text}${RESET}` : text;
+      lines.push(`  ${icons[t.status] || icons.pending} ${styled}`);
+    }
+    if (plan.todos.length > PLAN_MAX_ITEMS) {
+      lines.push(`${DIM}    \u2026 +${plan.todos.length - PLAN_MAX_ITEMS} more${RESET}`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Render the session's activity breakdown for the expanded panel, e.g.
+ *   ⏱ 1h02m wall · 23m10s active (37%) · 35m02s idle · 4m00s waiting · 12 turns, avg 1m55s
+ * @param {object} activity - session.activity from state.js (may be null).
+ * @param {number} innerWidth - Available inner width
+ * @returns {string|null} Line content, or null when there is nothing to show.
+ */
+function renderActivityLine(activity, innerWidth) {
+  if (!activity || activity.wallMs <= 0) return null;
+
+  const pct = Math.round((activity.activeMs / activity.wallMs) * 100);
+  const parts = [
+    `${formatDuration(activity.wallMs)} wall`,
+    `${formatDuration(activity.activeMs)} active (${pct}%)`,
+    `${formatDuration(activity.idleMs)} idle`,
+  ];
+  if (activity.waitingMs > 0) parts.push(`${formatDuration(activity.waitingMs)} waiting`);
+  if (activity.turnCount > 0) {
+    const done = activity.turns.filter((t) => t.endedAt != null);
+    const avg = done.length > 0
+      ? `, avg ${formatDuration(done.reduce((sum, t) => sum + t.durationMs, 0) / done.length)}`
+      : '';
+    parts.push(`${activity.turnCount} turn${activity.turnCount === 1 ? '' : 's'}${avg}`);
+  }
+  return `${CYAN}\u23F1${RESET} ${DIM}${truncate(parts.join(' \u00b7 '), innerWidth - 3)}${RESET}`;
+}
+
+/**
+ * Render a sub-agent as a tree branch under its parent panel.
+ * One line (icon, type, description, tool count, duration), plus the result or
+ * latest tool on a second line when the parent panel is expanded.
+ * @param {object} subagent - Sub-agent record from state.buildSubagents().
+ * @param {boolean} isLast - Whether this is the parent's last sub-agent.
+ * @param {number} width - Available width (same as the panel width).
+ * @param {boolean} isExpanded - Whether the parent panel is expanded.
+ */
+function renderSubagentLines(subagent, isLast, width, isExpanded) {
+  const branch = isLast ? `  ${BOX.bl}${BOX.h} ` : `  \u251c${BOX.h} `;
+  const stem = isLast ? '       ' : `  ${BOX.v}    `;
+  const icon = SUBAGENT_ICONS[subagent.status] || SUBAGENT_ICONS.running;
+
+  const duration = subagent.status === 'running'
+    ? formatDuration(Date.now() - subagent.startedAt)
+    : (subagent.durationMs != null ? formatDuration(subagent.durationMs) : '');
+  const count = `${subagent.toolCount || 0} tool${subagent.toolCount === 1 ? '' : 's'}`;
+  const suffix = `  ${count}${duration ? `  ${duration}` : ''}`;
+
+  const type = subagent.subagentType ? `${subagent.subagentType}: ` : '';
+  const maxCols = width - displayWidth(branch) - 2 - suffix.length;
+  const text = truncate(`${type}${subagent.description || 'sub-agent'}`, maxCols);
+  const pad = Math.max(0, maxCols - displayWidth(text));
+  const lines = [`${DIM}${branch}${RESET}${icon} ${text}${' '.repeat(pad)}${DIM}${suffix}${RESET}`];
+
+  if (isExpanded) {
+    const latest = subagent.recentTools && subagent.recentTools[0];
+    const detail = subagent.status === 'running'
+      ? (latest ? `${latest.toolName} ${latest.toolSummary}` : '')
+      : subagent.resultBrief;
+    if (detail) {
+      lines.push(`${DIM}${stem}\u2192 ${truncate(detail, width - stem.length - 2)}${RESET}`);
+    }
+  }
+
+  return lines;
+}
+
 /**
  * Render a single agent panel.
  * @param {object} session - Session state object.
@@ -472,25 +697,69 @@ function renderPanel(session, width, config, isFocused, scrollOffset, summary, t
     lines.push(renderPanelLine(sl, innerWidth, isFocused));
   }
 
-  // Divider
-  lines.push(renderPanelDivider(innerWidth, isFocused));
+  // Blocked on a permission prompt
+  if (session.status === 'waiting') {
+    const waitText = truncate(`waiting: ${session.waitingMessage}`, innerWidth - 2);
+    lines.push(renderPanelLine(`${RED}\u25c6${RESET} ${BOLD}${waitText}${RESET}`, innerWidth, isFocused));
+  }
+
+  // Frozen by the operator: tool calls are held, then denied
+  if (session.status === 'paused') {
+    const since = session.pausedAt ? ` (${formatElapsed(session.pausedAt)})` : '';
+    const pauseText = truncate(`PAUSED by operator${since} \u2014 [p] to resume`, innerWidth - 2);
+    lines.push(renderPanelLine(`${MAGENTA}\u2016${RESET} ${BOLD}${pauseText}${RESET}`, innerWidth, isFocused));
+  }
+
+  // Agent process died without a SessionEnd
+  if (session.status === 'crashed') {
+    const pid = session.pid ? ` ${session.pid}` : '';
+    const crashText = truncate(`agent process${pid} exited without ending the session`, innerWidth - 2);
+    lines.push(renderPanelLine(`${RED}\u2715${RESET} ${BOLD}${crashText}${RESET}`, innerWidth, isFocused));
+  }
+
+  // In-flight tool calls with live duration
+  for (const rl of renderRunningLines(session.runningTools, innerWidth)) {
+    lines.push(renderPanelLine(rl, innerWidth, isFocused));
+  }
+
+  // Calls blocked by the policy guard
+  const policyLine = renderPolicyLine(session.policy, innerWidth);
+  if (policyLine) {
+    lines.push(renderPanelLine(policyLine, innerWidth, isFocused));
+  }
 
   // Determine if panel is expanded (more lines, show tool details)
   const isExpanded = config && config._expandedPanels && config._expandedPanels.has(session.id);
+
+  // TodoWrite plan progress (full checklist when expanded)
+  for (const pl of renderPlanLines(session.plan, innerWidth, isExpanded)) {
+    lines.push(renderPanelLine(pl, innerWidth, isFocused));
+  }
+
+  // Wall/active/idle time and turn stats (expanded only)
+  const activityLine = isExpanded ? renderActivityLine(session.activity, innerWidth) : null;
+  if (activityLine) {
+    lines.push(renderPanelLine(activityLine, innerWidth, isFocused));
+  }
+
+  // Divider
+  lines.push(renderPanelDivider(innerWidth, isFocused));
   const maxToolLines = isExpanded ? 10 : 5;
 
   // Timeline: interleaved tools + messages
   if (isExpanded) {
     // Expanded: show 2-line entries with detail + result
     const expandedLines = renderExpandedTimelineLines(
-      session.recentTools, session.conversation || [], innerWidth, scrollOffset, maxToolLines
+      session.recentTools, session.conversation || [], innerWidth, scrollOffset, maxToolLines,
+      session.compactions
     );
     for (const tl of expandedLines) {
       lines.push(renderPanelLine(tl, innerWidth, isFocused));
     }
   } else {
     const timelineLines = renderTimelineLines(
-      session.recentTools, session.conversation || [], innerWidth, scrollOffset, maxToolLines
+      session.recentTools, session.conversation || [], innerWidth, scrollOffset, maxToolLines,
+      session.compactions
     );
     for (const tl of timelineLines) {
       lines.push(renderPanelLine(tl, innerWidth, isFocused));
@@ -524,7 +793,7 @@ function render(sessions, uiState, config, summaries, topics) {
 
   // Count active sessions
   const activeCount = sessions.filter(
-    (s) => s.status === 'active' || s.status === 'idle'
+    (s) => s.status === 'active' || s.status === 'idle' || s.status === 'waiting' || s.status === 'paused'
   ).length;
 
   // Outer header
@@ -547,24 +816,28 @@ function render(sessions, uiState, config, summaries, topics) {
     const panelWidth = cols - 4; // 2 outer borders + 2 padding
     const isGrouped = config && config.groupByProject;
 
-    // Build render list: optionally grouped by project
-    let renderList; // [{session, groupHeader?}]
-    if (isGrouped) {
-      const groups = groupSessionsByProject(sessions);
-      renderList = [];
-      let idx = 0;
-      for (const [project, groupSessions] of groups) {
+    // Build render list from the session tree (panels with their sub-agents),
+    // optionally grouped by project
+    const groups = isGrouped ? groupSessionsByProject(sessions) : new Map([[null, sessions]]);
+    const renderList = []; // [{groupHeader} | {node, originalIndex} | {spacer}]
+    let idx = 0;
+    for (const [project, groupSessions] of groups) {
+      if (project !== null) {
         renderList.push({ groupHeader: project, sessionCount: groupSessions.length });
-        for (const s of groupSessions) {
-          renderList.push({ session: s, originalIndex: idx++ });
-        }
       }
-    } else {
-      renderList = sessions.map((s, i) => ({ session: s, originalIndex: i }));
+      for (const node of buildSessionTree(groupSessions)) {
+        if (node.depth === 0 && idx > 0) renderList.push({ spacer: true });
+        renderList.push({ node, originalIndex: node.depth === 0 ? idx++ : -1 });
+      }
     }
 
-    let panelIdx = 0;
     for (const item of renderList) {
+      if (item.spacer) {
+        // Spacing between panels
+        lines.push(`${CYAN}${BOX.v}${RESET}${' '.repeat(cols - 2)}${CYAN}${BOX.v}${RESET}`);
+        continue;
+      }
+
       if (item.groupHeader) {
         // Render project group header
         const headerText = `  ${BOLD}${CYAN}\u25B8 ${item.groupHeader}${RESET} ${DIM}(${item.sessionCount})${RESET}`;
@@ -573,7 +846,24 @@ function render(sessions, uiState, config, summaries, topics) {
         continue;
       }
 
-      const session = item.session;
+      const session = item.node.session;
+
+      if (item.node.moreSubagents) {
+        const sl = `${DIM}  ${BOX.bl}${BOX.h} +${item.node.moreSubagents} more sub-agent${item.node.moreSubagents === 1 ? '' : 's'}${RESET}`;
+        const rightPad = Math.max(0, cols - visibleWidth(sl) - 4);
+        lines.push(`${CYAN}${BOX.v}${RESET} ${sl}${' '.repeat(rightPad)} ${CYAN}${BOX.v}${RESET}`);
+        continue;
+      }
+
+      if (item.node.subagent) {
+        const isExpanded = config && config._expandedPanels && config._expandedPanels.has(session.id);
+        for (const sl of renderSubagentLines(item.node.subagent, item.node.isLast, panelWidth, isExpanded)) {
+          const rightPad = Math.max(0, cols - visibleWidth(sl) - 4);
+          lines.push(`${CYAN}${BOX.v}${RESET} ${sl}${' '.repeat(rightPad)} ${CYAN}${BOX.v}${RESET}`);
+        }
+        continue;
+      }
+
       const isFocused = item.originalIndex === ui.focusIndex;
       const scrollOffset = ui.scrollOffsets[session.id] || 0;
       const summary = sums[session.id] || '';
@@ -591,12 +881,6 @@ function render(sessions, uiState, config, summaries, topics) {
           `${CYAN}${BOX.v}${RESET} ${pl}${' '.repeat(rightPad)} ${CYAN}${BOX.v}${RESET}`
         );
       }
-
-      panelIdx++;
-      // Spacing between panels
-      if (panelIdx < sessions.length) {
-        lines.push(`${CYAN}${BOX.v}${RESET}${' '.repeat(cols - 2)}${CYAN}${BOX.v}${RESET}`);
-      }
     }
   }
 
@@ -612,11 +896,11 @@ function render(sessions, uiState, config, summaries, topics) {
   }
 
   // Footer with keybindings
-  const aiLabel = config && config.apiKey ? `${GREEN}AI${RESET}` : `${DIM}rules${RESET}`;
+  const aiLabel = isConfigured(config) ? `${GREEN}AI${RESET}` : `${DIM}rules${RESET}`;
   const notifyLabel = ui.notifications ? `${GREEN}ON${RESET}` : `${DIM}off${RESET}`;
   const filterLabel = (ui.filter || 'all').charAt(0).toUpperCase() + (ui.filter || 'all').slice(1);
   const groupLabel = ui.groupByProject ? `${GREEN}ON${RESET}` : `${DIM}off${RESET}`;
-  const footer = `  [\u2191\u2193] Focus  [j/k] Scroll  [Space] Expand  [f] ${filterLabel}  [n] Notify:${notifyLabel}  [g] Group:${groupLabel}  [e] Export  [w] Web  [q] Quit  ${aiLabel}  `;
+  const footer = `  [\u2191\u2193] Focus  [j/k] Scroll  [Space] Expand  [f] ${filterLabel}  [n] Notify:${notifyLabel}  [g] Group:${groupLabel}  [p] Pause  [R] Rename  [e] Export  [w] Web  [q] Quit  ${aiLabel}  `;
   const footerPadLen = Math.max(0, cols - visibleWidth(footer) - 2);
   lines.push(
     `${CYAN}${BOX.v}${RESET}${DIM}${footer}${RESET}${' '.repeat(footerPadLen)}${CYAN}${BOX.v}${RESET}`
@@ -637,4 +921,4 @@ function draw(sessions, uiState, config, summaries, topics) {
   process.stdout.write(output + '\n');
 }
 
-module.exports = { render, draw, stripAnsi, displayWidth, visibleWidth, padEndVisible, wordWrap, formatElapsed, truncate, renderTimelineLines };
+module.exports = { render, draw, stripAnsi, displayWidth, visibleWidth, padEndVisible, wordWrap, formatElapsed, formatDuration, truncate, renderTimelineLines };
@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { describeSession, parseJsonlFile, STATE_DIR, INACTIVE_STATUSES } = require('./state');
+const { projectOf } = require('./relationships');
+const { isArchived, getArchiveBasePath } = require('../../hooks/lib/archiver');
+const { clearPause } = require('../../hooks/lib/pause');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+// How often the TUI and web server apply the retention settings
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Whether any retention limit is set (all of them default to off).
+ */
+function retentionEnabled(retention) {
+  return !!retention && (retention.maxAgeDays > 0 || retention.keepPerProject > 0 || retention.maxTotalMb > 0);
+}
+
+/**
+ * List every session file with its size and a session view. Sessions come
+ * from `known` (the dashboards' SessionStore) where possible, so a prune
+ * costs one stat per file; only files it lacks are read and parsed.
+ * @param {Map<string, object>} [known] - file name -> session
+ * @returns {Array<{filePath: string, bytes: number, session: object}>}
+ */
+function listSessionFiles(known) {
+  let files = [];
+  try {
+    files = fs.readdirSync(STATE_DIR).filter((f) => f.endsWith('.jsonl'));
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const file of files) {
+    const filePath = path.join(STATE_DIR, file);
+    try {
+      const bytes = fs.statSync(filePath).size;
+      const session = (known && known.get(file)) || describeSession(parseJsonlFile(filePath));
+      if (session) entries.push({ filePath, bytes, session });
+    } catch {
+      // Removed while we were listing
+    }
+  }
+  return entries;
+}
+
+/**
+ * Decide which session files the retention settings remove. Only inactive
+ * sessions (ended, crashed, stale) are candidates. Limits apply in order:
+ * age, then sessions per project, then total size (oldest removed first).
+ * @param {Array<{bytes: number, session: object}>} entries - From listSessionFiles().
+ * @param {{maxAgeDays: number, maxTotalMb: number, keepPerProject: number}} retention
+ * @param {number} now - Current time in ms.
+ * @returns {Array<{entry: object, reason: string}>} Oldest first.
+ */
+function planPrune(entries, retention, now) {
+  const newestFirst = [...entries].sort((a, b) => b.session.lastEventAt - a.session.lastEventAt);
+  const reasons = new Map();
+  const prune = (entry, reason) => {
+    if (!reasons.has(entry) && INACTIVE_STATUSES.has(entry.session.status)) reasons.set(entry, reason);
+  };
+
+  if (retention.maxAgeDays > 0) {
+    for (const entry of newestFirst) {
+      const age = now - entry.session.lastEventAt;
+      if (age > retention.maxAgeDays * DAY_MS) {
+        prune(entry, `inactive for ${Math.floor(age / DAY_MS)} days`);
+      }
+    }
+  }
+
+  if (retention.keepPerProject > 0) {
+    const seen = {};
+    for (const entry of newestFirst) {
+      const project = projectOf(entry.session) || 'unknown';
+      seen[project] = (seen[project] || 0) + 1;
+      if (seen[project] > retention.keepPerProject) {
+        prune(entry, `more than ${retention.keepPerProject} sessions in ${project}`);
+      }
+    }
+  }
+
+  if (retention.maxTotalMb > 0) {
+    let total = entries
+      .filter((entry) => !reasons.has(entry))
+      .reduce((sum, entry) => sum + entry.bytes, 0);
+    for (const entry of [...newestFirst].reverse()) {
+      if (total <= retention.maxTotalMb * MB) break;
+      if (reasons.has(entry) || !INACTIVE_STATUSES.has(entry.session.status)) continue;
+      prune(entry, `sessions directory over ${retention.maxTotalMb} MB`);
+      total -= entry.bytes;
+    }
+  }
+
+  return newestFirst
+    .filter((entry) => reasons.has(entry))
+    .reverse()
+    .map((entry) => ({ entry, reason: reasons.get(entry) }));
+}
+
+/**
+ * Apply the retention settings to the sessions directory. Only sessions
+ * confirmed in the archive are deleted; without an archive (or before a
+ * session reaches it) they are skipped unless `force` is set.
+ * @param {object} config - Config object with retention.
+ * @param {{dryRun?: boolean, force?: boolean, store?: object}} [options] - dryRun
+ *   reports without deleting; force also deletes sessions that are not
+ *   archived; store (a SessionStore) supplies already-built sessions.
+ * @returns {{pruned: Array, skipped: Array, freedBytes: number, dryRun: boolean}}
+ *   pruned/skipped items are { id, name, bytes, reason }.
+ */
+function pruneSessions(config, options) {
+  const dryRun = !!(options && options.dryRun);
+  const force = !!(options && options.force);
+  const retention = (config && config.retention) || {};
+  const archiving = !!getArchiveBasePath();
+  const result = { pruned: [], skipped: [], freedBytes: 0, dryRun };
+
+  const known = options && options.store ? options.store.getFileSessions() : null;
+  for (const { entry, reason } of planPrune(listSessionFiles(known), retention, Date.now())) {
+    const item = { id: entry.session.id, name: entry.session.name, bytes: entry.bytes, reason };
+    if (!force && !(archiving && isArchived(item.id))) {
+      result.skipped.push({ ...item, reason: archiving ? 'not archived yet' : 'no archive configured' });
+      continue;
+    }
+    if (!dryRun) {
+      try {
+        fs.unlinkSync(entry.filePath);
+        clearPause(item.id);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          result.skipped.push({ ...item, reason: `could not delete (${err.code || 'error'})` });
+        }
+        continue;
+      }
+    }
+    result.pruned.push(item);
+    result.freedBytes += item.bytes;
+  }
+
+  return result;
+}
+
+module.exports = { pruneSessions, planPrune, retentionEnabled, PRUNE_INTERVAL_MS };
@@ -2,7 +2,7 @@
 
 const os = require('os');
 const path = require('path');
-const { PROVIDERS, DEFAULTS } = require('./config');
+const { PROVIDERS, KEYLESS_PROVIDERS, DEFAULTS } = require('./config');
 
 // ANSI codes (matching renderer.js style)
 const RESET = '\x1b[0m';
@@ -27,7 +27,7 @@ const STEP_MODEL = 3;
 const STEP_LANGUAGE = 4;
 const STEP_ARCHIVE_PATH = 5;
 
-const PROVIDER_NAMES = ['anthropic', 'openai', 'custom'];
+const PROVIDER_NAMES = ['anthropic', 'openai', 'ollama', 'custom', 'mock'];
 
 /**
  * Create initial setup state from existing config.
@@ -87,7 +87,7 @@ function renderSetupScreen(state) {
   lines.push(`${CYAN}${BOX.tl}${title}${BOX.h.repeat(titlePad)}${BOX.tr}${RESET}`);
 
   lines.push(emptyLine());
-  lines.push(contentLine(`${DIM}AI summaries require an API key.${RESET}`));
+  lines.push(contentLine(`${DIM}AI summaries need an API key or a local model.${RESET}`));
   lines.push(emptyLine());
 
   // Provider selection
@@ -104,7 +104,7 @@ function renderSetupScreen(state) {
     }
     return `${DIM}[${num}] ${name}${RESET}`;
   });
-  const providerLine = `  ${providerOptions.join('  ')}`;
+  const providerLine = `  ${providerOptions.join(' ')}`;
   lines.push(contentLine(providerLine));
 
   lines.push(emptyLine());
@@ -115,7 +115,7 @@ function renderSetupScreen(state) {
     : `${DIM}API Key:${RESET}`;
   const keyDisplay = state.step === STEP_API_KEY
     ? `${maskApiKey(state.apiKey)}${YELLOW}\u2588${RESET}`
-    : (state.apiKey ? maskApiKey(state.apiKey) : `${DIM}(not set)${RESET}`);
+    : (state.apiKey ? maskApiKey(state.apiKey) : `${DIM}(${KEYLESS_PROVIDERS.has(state.provider) ? 'not needed' : 'not set'})${RESET}`);
   lines.push(contentLine(`${keyLabel} ${keyDisplay}`));
 
   // Base URL
@@ -167,7 +167,7 @@ function renderSetupScreen(state) {
 
   // Footer actions
   const actions = state.step === STEP_PROVIDER
-    ? `${DIM}[1/2/3] Select provider  [Esc] Skip${RESET}`
+    ? `${DIM}[1-${PROVIDER_NAMES.length}] Select provider  [Esc] Skip${RESET}`
     : `${DIM}[Enter] Next  [Esc] Skip${RESET}`;
   lines.push(contentLine(actions));
 
@@ -179,6 +179,13 @@ function renderSetupScreen(state) {
   return lines.join('\n');
 }
 
+/**
+ * Keyless providers skip the API key step.
+ */
+function firstStepAfterProvider(provider) {
+  return KEYLESS_PROVIDERS.has(provider) ? STEP_BASE_URL : STEP_API_KEY;
+}
+
 /**
  * Handle a keypress in the setup flow.
  * Returns { state, result } where result is 'continue' | 'done' | 'skip'.
@@ -191,8 +198,8 @@ function handleSetupKey(key, state) {
   }
 
   if (state.step === STEP_PROVIDER) {
-    if (key === '1' || key === '2' || key === '3') {
-      const idx = parseInt(key, 10) - 1;
+    const idx = /^[1-9]$/.test(key) ? parseInt(key, 10) - 1 : -1;
+    if (idx >= 0 && idx < PROVIDER_NAMES.length) {
       const providerName = PROVIDER_NAMES[idx];
       const preset = PROVIDERS[providerName];
       return {
@@ -203,7 +210,7 @@ function handleSetupKey(key, state) {
           model: preset.models[0] || '',
           baseUrlEdited: false,
           modelEdited: false,
-          step: STEP_API_KEY,
+          step: firstStepAfterProvider(providerName),
         },
         result: 'continue',
       };
@@ -211,7 +218,7 @@ function handleSetupKey(key, state) {
     // Enter on provider step → advance to API key with current provider
     if (key === '\r' || key === '\n') {
       return {
-        state: { ...state, step: STEP_API_KEY },
+        state: { ...state, step: firstStepAfterProvider(state.provider) },
         result: 'continue',
       };
     }
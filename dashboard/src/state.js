@@ -3,85 +3,704 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { loadConversation } = require('./transcript');
+const { loadConversation, loadSubagents, loadUsage, SUBAGENT_TOOLS } = require('./transcript');
+const { summarizeUsage, costOf } = require('./cost');
+const { readPause } = require('../../hooks/lib/pause');
+const { isArchived } = require('../../hooks/lib/archiver');
+const { loadLabels } = require('./labels');
 
 const STATE_DIR = path.join(os.homedir(), '.claude', 'agent-monitor', 'sessions');
 const STALE_THRESHOLD_MS = 5 * 60 * 1000; // 5 minutes
+// A tool_start with no tool_use for this long no longer counts as running
+// (its PostToolUse was lost); Bash itself times out after 10 minutes
+const MAX_RUNNING_TOOL_MS = 30 * 60 * 1000;
+const PERMISSION_RACE_MS = 2000; // tool_start may trail its permission prompt by this much
+const CRASH_GRACE_MS = 10000; // the SessionEnd hook may land just after the process exits
+// Finished sub-agents kept on a session next to the running ones (subagentCount has the total)
+const MAX_FINISHED_SUBAGENTS = 5;
+
+// Sessions that may be cleared or pruned
+const INACTIVE_STATUSES = new Set(['ended', 'crashed', 'stale']);
+
+/**
+ * Parse JSONL text into an array of event objects, skipping malformed lines.
+ */
+function parseJsonlLines(content) {
+  return content
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
 
 /**
  * Parse a single JSONL file into an array of event objects.
  */
 function parseJsonlFile(filePath) {
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    return content
-      .split('\n')
-      .filter((line) => line.trim())
-      .map((line) => {
-        try {
-          return JSON.parse(line);
-        } catch {
-          return null;
-        }
-      })
-      .filter(Boolean);
+    return parseJsonlLines(fs.readFileSync(filePath, 'utf8'));
   } catch {
     return [];
   }
 }
 
+/**
+ * Pair tool_start events with the tool_use events that finish them.
+ * Matches on tool_use_id when both events carry one, otherwise on the oldest
+ * open start for the same tool name. A stop or session_end closes whatever is
+ * still open, since the turn it belonged to is over (e.g. an interrupted call).
+ * So do a new user_prompt and an idle_prompt, which only come once the agent
+ * is waiting for the user again (after an interrupt or a denied permission),
+ * for the starts older than them. A call denied by the policy guard never
+ * runs, so its deny decision closes it.
+ * Both hooks run async, so a fast tool's tool_use can land before its
+ * tool_start; such late starts are dropped instead of left open.
+ * @param {Array} events - Chronological event list.
+ * @param {number} [now] - Current time in ms; when given, starts older than
+ *   MAX_RUNNING_TOOL_MS are not reported as running.
+ * @returns {{ durations: Map<object, number>, running: Array<object> }}
+ *   durations: tool_use event -> measured duration in ms
+ *   running: tool_start events that have not finished yet
+ */
+function pairToolEvents(events, now) {
+  const durations = new Map();
+  const finishedIds = new Set();
+  let open = [];
+
+  for (const e of events) {
+    if (e.event === 'tool_start') {
+      if (!e.tool_use_id || !finishedIds.has(e.tool_use_id)) open.push(e);
+    } else if (e.event === 'tool_use') {
+      if (e.tool_use_id) finishedIds.add(e.tool_use_id);
+      let idx = e.tool_use_id
+        ? open.findIndex((s) => s.tool_use_id === e.tool_use_id)
+        : -1;
+      if (idx === -1) {
+        idx = open.findIndex((s) => !s.tool_use_id && s.tool_name === e.tool_name);
+      }
+      if (idx !== -1) {
+        const start = open[idx];
+        durations.set(e, Math.max(0, new Date(e.ts).getTime() - new Date(start.ts).getTime()));
+        open = [...open.slice(0, idx), ...open.slice(idx + 1)];
+      }
+    } else if (e.event === 'policy_decision' && e.decision === 'deny') {
+      if (e.tool_use_id) finishedIds.add(e.tool_use_id);
+      const idx = open.findIndex((s) =>
+        (e.tool_use_id && s.tool_use_id === e.tool_use_id) || (!s.tool_use_id && s.tool_name === e.tool_name));
+      if (idx !== -1) open = [...open.slice(0, idx), ...open.slice(idx + 1)];
+    } else if (e.event === 'stop' || e.event === 'session_end') {
+      open = [];
+    } else if (e.event === 'user_prompt' || e.event === 'idle_prompt') {
+      // Hooks race: a start of the new turn may have been written first
+      const ts = new Date(e.ts).getTime();
+      open = open.filter((s) => new Date(s.ts).getTime() > ts);
+    }
+  }
+
+  const running = now === undefined
+    ? open
+    : open.filter((s) => now - new Date(s.ts).getTime() < MAX_RUNNING_TOOL_MS);
+  return { durations, running };
+}
+
+// A hook prompt and its transcript message are written within moments of each other
+const TURN_MATCH_WINDOW_MS = 5000;
+
+// Left at the end of text cut by a length cap (hook promptMaxLength, transcript clipping)
+const TRUNCATION_MARKER = /(\u2026|\.\.\.)$/;
+
+/**
+ * Normalize message text for duplicate detection: collapse whitespace.
+ */
+function normalizeTurnText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check whether two user turns have the same text. They must be equal after
+ * normalization, except that a side cut short by a length cap (ending in an
+ * ellipsis) only has to be a prefix of the other.
+ */
+function isSameTurn(a, b) {
+  const na = normalizeTurnText(a);
+  const nb = normalizeTurnText(b);
+  if (!na || !nb) return false;
+  if (na === nb) return true;
+
+  const stem = (t) => t.replace(TRUNCATION_MARKER, '').trimEnd();
+  const [short, long] = stem(na).length <= stem(nb).length ? [na, nb] : [nb, na];
+  return TRUNCATION_MARKER.test(short) && stem(short).length > 0 && stem(long).startsWith(stem(short));
+}
+
+/**
+ * Pair user messages with hook prompts, one to one: a message takes the
+ * closest unclaimed prompt within TURN_MATCH_WINDOW_MS that has the same text.
+ * Repeated short prompts ("yes", "continue") thus each keep their own turn.
+ * @param {Array<{text: string, ts: number}>} prompts
+ * @param {Array<{text: string, ts: number}>} messages - User messages.
+ * @returns {Map<object, object>} message -> prompt
+ */
+function pairTurns(prompts, messages) {
+  const claimed = new Set();
+  const pairs = new Map();
+  for (const m of messages) {
+    let best = null;
+    for (const p of prompts) {
+      if (claimed.has(p) || Math.abs(p.ts - m.ts) > TURN_MATCH_WINDOW_MS || !isSameTurn(p.text, m.text)) continue;
+      if (!best || Math.abs(p.ts - m.ts) < Math.abs(best.ts - m.ts)) best = p;
+    }
+    if (best) {
+      claimed.add(best);
+      pairs.set(m, best);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Merge hook-captured user prompts with transcript messages.
+ * user_prompt events are the primary source of user turns (see pairTurns); a
+ * matching transcript message only contributes its text when the hook cut
+ * the prompt short and the transcript did not. Transcript user messages with
+ * no matching prompt (e.g. from before the hook was installed) are kept, and
+ * assistant messages always come from the transcript.
+ * @param {Array} promptEvents - user_prompt events in chronological order.
+ * @param {Array} transcriptMessages - Array of {role, text, ts, redacted} from
+ *   transcript.loadConversation(), already masked so turns still match.
+ * @returns {Array<{role: string, text: string, ts: number, source: string}>}
+ */
+function mergeConversation(promptEvents, transcriptMessages) {
+  const prompts = promptEvents.map((e) => ({
+    role: 'user',
+    text: e.prompt || '',
+    ts: new Date(e.ts).getTime(),
+    source: 'hook',
+    redacted: !!e.redacted,
+  }));
+
+  const pairs = pairTurns(prompts, transcriptMessages.filter((m) => m.role === 'user'));
+
+  const extra = [];
+  for (const m of transcriptMessages) {
+    const match = pairs.get(m);
+    if (!match) {
+      extra.push({ ...m, source: 'transcript' });
+    } else if (TRUNCATION_MARKER.test(match.text) && !TRUNCATION_MARKER.test(m.text) && m.text.length > match.text.length) {
+      match.text = m.text;
+    }
+  }
+
+  return [...prompts, ...extra].sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Find the permission request a session is currently blocked on, if any.
+ * The session is blocked until any later sign of progress. A tool_start that
+ * lands just after the request is skipped: PreToolUse and Notification hooks
+ * run async, so the start of the tool being asked about can arrive second.
+ * @param {Array} events - Chronological event list.
+ * @returns {object|null} The open permission_request event, or null.
+ */
+function findPendingPermission(events) {
+  for (let i = events.length - 1; i >= 0; i--) {
+    const e = events[i];
+    if (e.event === 'permission_request') {
+      // Everything after it is a tool_start; only tolerate ones inside the race window
+      const requestTs = new Date(e.ts).getTime();
+      const raced = events
+        .slice(i + 1)
+        .every((s) => new Date(s.ts).getTime() - requestTs <= PERMISSION_RACE_MS);
+      return raced ? e : null;
+    }
+    if (e.event !== 'tool_start') return null;
+  }
+  return null;
+}
+
+/**
+ * Whether a process exists. EPERM means it does but belongs to another user.
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Detect an agent that died without a session_end (terminal closed, crash,
+ * kill -9): the Claude Code process recorded by its latest session_start is
+ * gone. Only processes on this host can be checked; older events without a
+ * PID never count as crashed.
+ * @param {Array} events - Chronological event list.
+ * @param {number} now - Current time in ms.
+ */
+function agentProcessGone(events, now) {
+  const lastEvent = events[events.length - 1];
+  if (lastEvent.event === 'session_end') return false;
+  if (now - new Date(lastEvent.ts).getTime() < CRASH_GRACE_MS) return false;
+
+  // A resumed session starts again under a new process
+  const start = [...events].reverse().find((e) => e.event === 'session_start');
+  if (!start || !Number.isInteger(start.agent_pid) || start.agent_host !== os.hostname()) return false;
+  return !isProcessAlive(start.agent_pid);
+}
+
 /**
  * Derive session status from events.
+ * @param {Array} events - Chronological event list.
+ * @param {number} now - Current time in ms.
+ * @param {number} [runningCount] - Number of tool calls still in flight.
  */
-function deriveStatus(events, now) {
+function deriveStatus(events, now, runningCount) {
   if (events.length === 0) return 'unknown';
 
   const lastEvent = events[events.length - 1];
   const elapsed = now - new Date(lastEvent.ts).getTime();
 
+  // Blocked on a permission prompt: needs a human, never goes stale
+  if (findPendingPermission(events)) return 'waiting';
+
+  // A long-running tool (build, test suite, sub-agent) is busy, not stale
+  if (runningCount > 0 && lastEvent.event !== 'session_end') return 'active';
+
   switch (lastEvent.event) {
     case 'session_end': return 'ended';
     case 'stop': return 'idle';
+    case 'idle_prompt': return 'idle';
     case 'session_start':
       return elapsed >= STALE_THRESHOLD_MS ? 'stale' : 'idle';
+    case 'compact':
+      // /compact is typed at the prompt; auto-compaction happens mid-turn
+      if (lastEvent.trigger === 'manual') {
+        return elapsed >= STALE_THRESHOLD_MS ? 'stale' : 'idle';
+      }
+      return elapsed >= STALE_THRESHOLD_MS ? 'stale' : 'active';
+    case 'user_prompt':
+    case 'tool_start':
     case 'tool_use':
+    case 'subagent_stop':
+    case 'policy_decision':
       return elapsed >= STALE_THRESHOLD_MS ? 'stale' : 'active';
     default:
       return 'unknown';
   }
 }
 
+/**
+ * Full session status: a dead agent process outranks everything, then an
+ * operator pause, then what the events say.
+ * @param {object|null} pause - The session's pause flag, from readPause().
+ */
+function deriveSessionStatus(events, now, runningCount, pause) {
+  if (agentProcessGone(events, now)) return 'crashed';
+  if (pause && events[events.length - 1].event !== 'session_end') return 'paused';
+  return deriveStatus(events, now, runningCount);
+}
+
+/**
+ * Split a session's life into agent work, waiting for the user (idle) and
+ * waiting on a permission prompt, and collect its turns. A turn runs from the
+ * user's prompt (or the first sign of work) to the next stop, idle prompt or
+ * session end. Time between a session_end and a resume is not counted.
+ * @param {Array} events - Chronological event list.
+ * @param {string} status - Derived session status.
+ * @param {number} now - Current time in ms.
+ * @returns {{wallMs: number, activeMs: number, idleMs: number, waitingMs: number,
+ *   turnCount: number, turns: Array<{startedAt: number, endedAt: number|null, durationMs: number, tools: number}>}}
+ *   The last turn has endedAt null while it is still running.
+ */
+function buildActivity(events, status, now) {
+  const totals = { active: 0, idle: 0, waiting: 0 };
+  const turns = [];
+  let state = 'idle'; // 'active' | 'idle' | 'waiting' | 'off' (after session_end)
+  let turn = null;
+  let waitingSince = 0;
+  let prevTs = null;
+
+  const endTurn = (ts) => {
+    if (!turn) return;
+    turns.push({ ...turn, endedAt: ts, durationMs: ts - turn.startedAt });
+    turn = null;
+  };
+
+  for (const e of events) {
+    const ts = new Date(e.ts).getTime();
+    if (Number.isNaN(ts)) continue;
+    if (prevTs !== null && state !== 'off') totals[state] += Math.max(0, ts - prevTs);
+    prevTs = Math.max(prevTs || 0, ts);
+
+    const isWork = e.event === 'user_prompt' || e.event === 'tool_start' || e.event === 'tool_use' ||
+      e.event === 'subagent_stop' || e.event === 'policy_decision' ||
+      (e.event === 'compact' && e.trigger !== 'manual');
+
+    if (e.event === 'session_start') {
+      endTurn(ts);
+      state = 'idle';
+    } else if (e.event === 'session_end') {
+      endTurn(ts);
+      state = 'off';
+    } else if (e.event === 'stop' || e.event === 'idle_prompt') {
+      endTurn(ts);
+      state = 'idle';
+    } else if (e.event === 'permission_request') {
+      if (turn) {
+        state = 'waiting';
+        waitingSince = ts;
+      }
+    } else if (isWork) {
+      // A prompt while a turn is open means its stop was missed
+      if (e.event === 'user_prompt') endTurn(ts);
+      if (!turn) turn = { startedAt: ts, tools: 0 };
+      if (e.event === 'tool_use') turn.tools++;
+      // The asked-about tool's start can trail its permission prompt
+      const raced = e.event === 'tool_start' && ts - waitingSince <= PERMISSION_RACE_MS;
+      if (state !== 'waiting' || !raced) state = 'active';
+    }
+  }
+
+  // A live session is still in its last state; a stale one is treated as idle
+  const live = status !== 'ended' && status !== 'crashed' && state !== 'off';
+  if (live && prevTs !== null) {
+    totals[status === 'stale' ? 'idle' : state] += Math.max(0, now - prevTs);
+  }
+  if (turn) {
+    const endTs = live && status !== 'stale' ? now : prevTs;
+    turns.push({ ...turn, endedAt: live ? null : prevTs, durationMs: endTs - turn.startedAt });
+  }
+
+  return {
+    wallMs: totals.active + totals.idle + totals.waiting,
+    activeMs: totals.active,
+    idleMs: totals.idle,
+    waitingMs: totals.waiting,
+    turnCount: turns.length,
+    turns,
+  };
+}
+
+/**
+ * The sub-agents a session shows: every running one plus the most recent
+ * finished ones, in start order. Like recentTools, a view for the panels,
+ * so a session that fans out dozens of Task agents stays compact.
+ */
+function capSubagents(subagents) {
+  const finished = subagents.filter((a) => a.status !== 'running');
+  const kept = new Set(finished.slice(-MAX_FINISHED_SUBAGENTS));
+  return subagents.filter((a) => a.status === 'running' || kept.has(a));
+}
+
+/**
+ * Build the session's sub-agent list, keyed by Task tool_use id.
+ * Transcript sidechains supply each sub-agent's own work and result; hook
+ * events (tool_start/tool_use for Task) supply running state and measured
+ * durations when the transcript is missing or has not caught up yet.
+ * @param {Array} events - Chronological event list.
+ * @param {Map} durations - tool_use event -> ms, from pairToolEvents().
+ * @param {Array} transcriptSubagents - Records from transcript.loadSubagents().
+ * @returns {Array<object>} Sub-agents in start order.
+ */
+function buildSubagents(events, durations, transcriptSubagents) {
+  const byId = new Map();
+
+  for (const e of events) {
+    if (!e.tool_use_id || !SUBAGENT_TOOLS.has(e.tool_name)) continue;
+    const existing = byId.get(e.tool_use_id);
+    if (e.event === 'tool_start' && !existing) {
+      byId.set(e.tool_use_id, {
+        toolUseId: e.tool_use_id,
+        description: e.tool_summary || '',
+        subagentType: '',
+        status: 'running',
+        startedAt: new Date(e.ts).getTime(),
+        endedAt: null,
+        durationMs: null,
+        resultBrief: '',
+        toolCount: 0,
+        recentTools: [],
+        lastActivityAt: new Date(e.ts).getTime(),
+      });
+    } else if (e.event === 'tool_use') {
+      const endedAt = new Date(e.ts).getTime();
+      const durationMs = durations.has(e) ? durations.get(e) : null;
+      byId.set(e.tool_use_id, {
+        ...(existing || {
+          toolUseId: e.tool_use_id,
+          description: e.tool_summary || '',
+          subagentType: '',
+          startedAt: durationMs != null ? endedAt - durationMs : endedAt,
+          toolCount: 0,
+          recentTools: [],
+        }),
+        status: e.error_type === 'interrupted' ? 'interrupted' : (e.is_error ? 'error' : 'done'),
+        endedAt,
+        durationMs,
+        resultBrief: e.tool_result_brief || '',
+        lastActivityAt: endedAt,
+      });
+    }
+  }
+
+  // Transcript data is richer; hook data wins only where the transcript lags
+  for (const t of transcriptSubagents) {
+    const hook = byId.get(t.toolUseId);
+    if (!hook) {
+      byId.set(t.toolUseId, t);
+      continue;
+    }
+    const hookFinished = hook.status !== 'running' && t.status === 'running';
+    byId.set(t.toolUseId, {
+      ...t,
+      status: hookFinished ? hook.status : t.status,
+      endedAt: t.endedAt || hook.endedAt,
+      durationMs: t.durationMs != null ? t.durationMs : hook.durationMs,
+      resultBrief: t.resultBrief || hook.resultBrief,
+      description: t.description || hook.description,
+    });
+  }
+
+  // A sub-agent still "running" after its turn ended was interrupted
+  const lastStop = [...events].reverse().find((e) => e.event === 'stop' || e.event === 'session_end');
+  const lastStopAt = lastStop ? new Date(lastStop.ts).getTime() : 0;
+
+  return [...byId.values()]
+    .map((a) => (a.status === 'running' && lastStopAt > a.startedAt ? { ...a, status: 'interrupted' } : a))
+    .sort((a, b) => a.startedAt - b.startedAt);
+}
+
+/**
+ * Summarize a TodoWrite list into the session's plan.
+ * @param {Array<{content, status, activeForm}>} todos - Items from the tool_use event.
+ * @param {number} updatedAt - When the list was last written (ms).
+ * @returns {{todos: Array, total: number, completed: number, current: object|null, updatedAt: number}}
+ */
+function buildPlan(todos, updatedAt) {
+  return {
+    todos,
+    total: todos.length,
+    completed: todos.filter((t) => t.status === 'completed').length,
+    current: todos.find((t) => t.status === 'in_progress') || null,
+    updatedAt,
+  };
+}
+
+/**
+ * Aggregate line changes from Edit/MultiEdit/Write events, per file and overall.
+ * @param {Array} toolEvents - All tool_use events of the session.
+ * @returns {{added: number, removed: number, files: Array<{file, added, removed, edits}>}|null}
+ *   Files are ordered by churn (added + removed), largest first; null when
+ *   nothing was edited.
+ */
+function buildChurn(toolEvents) {
+  const files = new Map();
+  for (const e of toolEvents) {
+    if (typeof e.lines_added !== 'number') continue;
+    const file = e.file_path || e.tool_summary || 'unknown';
+    if (!files.has(file)) files.set(file, { file, added: 0, removed: 0, edits: 0 });
+    const f = files.get(file);
+    f.added += e.lines_added;
+    f.removed += e.lines_removed || 0;
+    f.edits += 1;
+  }
+  if (files.size === 0) return null;
+
+  const list = [...files.values()].sort((a, b) => (b.added + b.removed) - (a.added + a.removed));
+  return {
+    added: list.reduce((sum, f) => sum + f.added, 0),
+    removed: list.reduce((sum, f) => sum + f.removed, 0),
+    files: list,
+  };
+}
+
+/**
+ * Policy guard activity: decision counts and the latest decisions.
+ * @param {Array} events - Chronological event list.
+ * @returns {{blocked: number, asked: number, allowed: number, recent: Array}|null}
+ *   recent is newest first (up to 5); null when no rule has matched yet.
+ */
+function buildPolicySummary(events) {
+  const decisions = events.filter((e) => e.event === 'policy_decision');
+  if (decisions.length === 0) return null;
+  const count = (d) => decisions.filter((e) => e.decision === d).length;
+  return {
+    blocked: count('deny'),
+    asked: count('ask'),
+    allowed: count('allow'),
+    recent: decisions.slice(-5).reverse().map((e) => ({
+      decision: e.decision,
+      toolName: e.tool_name || 'unknown',
+      toolSummary: e.tool_summary || '',
+      reason: e.reason || '',
+      rule: e.rule || '',
+      ts: new Date(e.ts).getTime(),
+    })),
+  };
+}
+
+/**
+ * Structured failure info for a tool_use event, or null if the call succeeded.
+ * @param {object} e - tool_use event written by the PostToolUse hook.
+ * @returns {{type: string, exitCode: number|null, message: string}|null}
+ */
+function toolError(e) {
+  if (!e.is_error) return null;
+  return {
+    type: e.error_type || 'error',
+    exitCode: typeof e.exit_code === 'number' ? e.exit_code : null,
+    message: e.error_message || '',
+  };
+}
+
+/**
+ * Shape a tool_use event for the timeline (panel, exports, replay).
+ * @param {object} e - tool_use event.
+ * @param {Map<object, number>} durations - From pairToolEvents().
+ */
+function toolEntry(e, durations) {
+  return {
+    toolName: e.tool_name || 'unknown',
+    toolSummary: e.tool_summary || e.tool_name || 'unknown',
+    toolDetail: e.tool_detail || '',
+    toolResultBrief: e.tool_result_brief || '',
+    durationMs: durations.has(e) ? durations.get(e) : null,
+    error: toolError(e),
+    redacted: !!e.redacted,
+    ...(e.todos ? { todos: e.todos } : {}),
+    ...(typeof e.lines_added === 'number' ? { lines: { added: e.lines_added, removed: e.lines_removed || 0 } } : {}),
+    ts: new Date(e.ts).getTime(),
+    ...(e.tool_use_id ? { toolUseId: e.tool_use_id } : {}),
+  };
+}
+
+/**
+ * Every tool call of a session, newest first (the same shape and order as
+ * recentTools, which only keeps the last few for the compact panel).
+ * @param {Array} events - Chronological event list.
+ */
+function buildToolHistory(events) {
+  const { durations } = pairToolEvents(events);
+  return events
+    .filter((e) => e.event === 'tool_use')
+    .reverse()
+    .map((e) => toolEntry(e, durations));
+}
+
+/**
+ * Tool call counts by tool name, over the whole session.
+ */
+function countTools(toolEvents) {
+  const counts = {};
+  for (const e of toolEvents) {
+    const name = e.tool_name || 'unknown';
+    counts[name] = (counts[name] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Git context from the session_start and session_end events. The start event
+ * gives root/branch/HEAD; the end event (if any) gives the HEAD the session
+ * finished on, so the pair forms the commit range the session covered.
+ * @returns {{root, branch, startHead, endHead, dirtyStart, dirtyEnd}|null}
+ */
+function buildGitInfo(startEvent, endEvent) {
+  const start = startEvent && startEvent.git_root ? startEvent : null;
+  const end = endEvent && endEvent.git_root ? endEvent : null;
+  if (!start && !end) return null;
+  const dirty = (e) => (e && typeof e.git_dirty === 'number' ? e.git_dirty : null);
+  return {
+    root: (start || end).git_root,
+    branch: (end && end.git_branch) || (start && start.git_branch) || '',
+    startHead: start ? (start.git_head || '') : '',
+    endHead: end ? (end.git_head || '') : '',
+    dirtyStart: dirty(start),
+    dirtyEnd: dirty(end),
+  };
+}
+
 /**
  * Build a session summary from its events.
  * @param {Array} events - Array of parsed event objects.
  * @param {number} maxRecentTools - Max number of recent tool events to keep.
+ * @param {object} [modelPrices] - Price overrides (config.modelPrices) for cost estimates.
+ * @param {object} [transcriptOptions] - Conversation window (config.transcript).
  */
-function buildSession(events, maxRecentTools) {
+function buildSession(events, maxRecentTools, modelPrices, transcriptOptions) {
   if (events.length === 0) return null;
 
   const max = maxRecentTools || 10;
   const now = Date.now();
   const startEvent = events.find((e) => e.event === 'session_start');
+  const endEvent = [...events].reverse().find((e) => e.event === 'session_end');
+  const lastStartEvent = [...events].reverse().find((e) => e.event === 'session_start');
   const toolEvents = events.filter((e) => e.event === 'tool_use');
   const lastEvent = events[events.length - 1];
   const lastToolEvent = toolEvents[toolEvents.length - 1];
+  const { durations, running } = pairToolEvents(events, now);
+  const pendingPermission = findPendingPermission(events);
+  const pause = readPause(events[0].session_id);
+  const status = deriveSessionStatus(events, now, running.length, pause);
+  const agentName = events[0].agent_name || 'unknown';
+  const label = loadLabels()[events[0].session_id] || (startEvent && startEvent.agent_label) || '';
 
-  // Build recentTools array (newest first, up to max)
+  // Build recentTools array (newest first, up to max) — a view for the
+  // compact panel; the full list is loaded on demand (see history.js)
   const recentTools = toolEvents
     .slice(-max)
     .reverse()
-    .map((e) => ({
-      toolName: e.tool_name || 'unknown',
-      toolSummary: e.tool_summary || e.tool_name || 'unknown',
-      toolDetail: e.tool_detail || '',
-      toolResultBrief: e.tool_result_brief || '',
-      ts: new Date(e.ts).getTime(),
-    }));
+    .map((e) => toolEntry(e, durations));
+
+  // Failed tool calls, and the current run of back-to-back failures
+  const errorCount = toolEvents.filter((e) => e.is_error).length;
+  let consecutiveErrors = 0;
+  for (let i = toolEvents.length - 1; i >= 0 && toolEvents[i].is_error; i--) {
+    consecutiveErrors++;
+  }
+
+  // Tool calls that have started but not finished yet (oldest first)
+  const runningTools = running.map((e) => ({
+    toolName: e.tool_name || 'unknown',
+    toolSummary: e.tool_summary || e.tool_name || 'unknown',
+    toolDetail: e.tool_detail || '',
+    startedAt: new Date(e.ts).getTime(),
+  }));
 
-  // Load conversation from Claude Code transcript
+  // User turns come from UserPromptSubmit events first, with the Claude Code
+  // transcript filling in assistant replies and any turns the hook missed
   const sessionId = events[0].session_id;
   const cwd = startEvent ? startEvent.cwd : '';
-  const conversation = loadConversation(sessionId, cwd);
+  const promptEvents = events.filter((e) => e.event === 'user_prompt' && e.prompt);
+  const conversation = mergeConversation(promptEvents, loadConversation(sessionId, cwd, transcriptOptions));
+  for (const m of conversation) {
+    if (m.usage) m.costUsd = costOf(m.model, m.usage, modelPrices);
+  }
+
+  // Sub-agents: Task calls linked by tool_use id to their sidechain transcripts
+  const sidechainFiles = events
+    .filter((e) => e.event === 'subagent_stop' && e.agent_transcript_path)
+    .map((e) => e.agent_transcript_path);
+  const allSubagents = buildSubagents(events, durations, loadSubagents(sessionId, cwd, sidechainFiles));
+  const subagents = capSubagents(allSubagents);
+
+  // Token usage and estimated cost, sub-agents included
+  const usage = summarizeUsage(loadUsage(sessionId, cwd, sidechainFiles), modelPrices);
+
+  // Latest TodoWrite plan
+  const lastPlanEvent = [...toolEvents].reverse().find((e) => Array.isArray(e.todos));
+  const plan = lastPlanEvent ? buildPlan(lastPlanEvent.todos, new Date(lastPlanEvent.ts).getTime()) : null;
+
+  // Context compactions (PreCompact hook), oldest first
+  const compactions = events
+    .filter((e) => e.event === 'compact')
+    .map((e) => ({ trigger: e.trigger || 'auto', ts: new Date(e.ts).getTime() }));
 
   // Extract the first user message as session topic
   const firstUserMsg = conversation.find((m) => m.role === 'user');
@@ -91,28 +710,75 @@ function buildSession(events, maxRecentTools) {
 
   return {
     id: sessionId,
-    name: events[0].agent_name || 'unknown',
+    // A label (cam rename, [R], CAM_AGENT_NAME) replaces the generated name
+    name: label || agentName,
+    agentName,
+    label,
     cwd,
     model: startEvent ? startEvent.model : 'unknown',
     tmuxPane: startEvent ? (startEvent.tmux_pane || '') : '',
     tmuxWindow: startEvent ? (startEvent.tmux_window || '') : '',
-    status: deriveStatus(events, now),
+    git: buildGitInfo(startEvent, endEvent),
+    status,
+    pausedAt: pause ? pause.pausedAt : null,
+    pid: lastStartEvent && Number.isInteger(lastStartEvent.agent_pid) ? lastStartEvent.agent_pid : null,
+    host: lastStartEvent ? (lastStartEvent.agent_host || '') : '',
     topic,
     lastTool: lastToolEvent
       ? `${lastToolEvent.tool_name} ${lastToolEvent.tool_summary}`
       : null,
     recentTools,
+    runningTools,
+    subagents,
+    subagentCount: allSubagents.length,
+    compactions,
+    plan,
+    churn: buildChurn(toolEvents),
+    activity: buildActivity(events, status, now),
+    policy: buildPolicySummary(events),
+    waitingMessage: pendingPermission ? (pendingPermission.message || 'Waiting for permission') : '',
     lastEventAt: new Date(lastEvent.ts).getTime(),
     toolCount: toolEvents.length,
+    toolCounts: countTools(toolEvents),
+    eventCount: events.length,
+    errorCount,
+    consecutiveErrors,
+    redactedCount: events.filter((e) => e.redacted).length,
+    usage,
     conversation,
     messageCount: conversation.length,
   };
 }
 
+/**
+ * Lightweight view of a session for housekeeping (prune, clear): status,
+ * project and last activity from the events alone, without reading transcripts.
+ * @param {Array} events - Chronological event list.
+ * @returns {{id, name, cwd, git, status, lastEventAt}|null}
+ */
+function describeSession(events) {
+  if (events.length === 0) return null;
+
+  const sessionId = events[0].session_id;
+  const startEvent = events.find((e) => e.event === 'session_start');
+  const endEvent = [...events].reverse().find((e) => e.event === 'session_end');
+  const now = Date.now();
+  const { running } = pairToolEvents(events, now);
+
+  return {
+    id: sessionId,
+    name: loadLabels()[sessionId] || (startEvent && startEvent.agent_label) || events[0].agent_name || 'unknown',
+    cwd: startEvent ? startEvent.cwd : '',
+    git: buildGitInfo(startEvent, endEvent),
+    status: deriveSessionStatus(events, now, running.length, readPause(sessionId)),
+    lastEventAt: new Date(events[events.length - 1].ts).getTime(),
+  };
+}
+
 /**
  * Load all sessions from the state directory.
  * Returns array of session objects sorted by last event time (most recent first).
- * @param {object} config - Config object with maxRecentTools.
+ * @param {object} config - Config object with maxRecentTools, modelPrices and transcript.
  */
 function loadAllSessions(config) {
   if (!fs.existsSync(STATE_DIR)) {
@@ -120,29 +786,72 @@ function loadAllSessions(config) {
   }
 
   const maxRecentTools = (config && config.maxRecentTools) || 10;
+  const modelPrices = (config && config.modelPrices) || {};
+  const transcriptOptions = config && config.transcript;
   const files = fs.readdirSync(STATE_DIR).filter((f) => f.endsWith('.jsonl'));
 
-  return files
-    .map((file) => {
-      const events = parseJsonlFile(path.join(STATE_DIR, file));
-      return buildSession(events, maxRecentTools);
-    })
+  return listSessions(files.map((file) => {
+    const events = parseJsonlFile(path.join(STATE_DIR, file));
+    return buildSession(events, maxRecentTools, modelPrices, transcriptOptions);
+  }));
+}
+
+/**
+ * Turn built sessions into the dashboard list: ghosts hidden, most recent
+ * first, duplicate names disambiguated.
+ * @param {Array} sessions - buildSession() results (nulls are skipped).
+ */
+function listSessions(sessions) {
+  return sessions
     .filter(Boolean)
     // Hide ghost sessions: only remove sessions that are stale/ended with zero
     // tool events AND older than 30 minutes. Recent sessions stay visible even
     // without tool activity so they don't "disappear" from the dashboard.
     .filter((s) => {
       if (s.toolCount > 0) return true;
-      if (s.status === 'active' || s.status === 'idle') return true;
+      if (s.status === 'active' || s.status === 'idle' || s.status === 'waiting' || s.status === 'paused') return true;
       const ageMs = Date.now() - s.lastEventAt;
       return ageMs < 30 * 60 * 1000;
     })
-    .sort((a, b) => b.lastEventAt - a.lastEventAt);
+    .sort((a, b) => b.lastEventAt - a.lastEventAt)
+    .map((s, _, all) => disambiguateName(s, all));
+}
+
+/**
+ * Generated names come from 400 combinations, so busy days collide. When
+ * another listed session has the same name, append a short session ID prefix,
+ * lengthened until it tells them apart.
+ */
+function disambiguateName(session, sessions) {
+  const twins = sessions.filter((s) => s !== session && s.name === session.name);
+  if (twins.length === 0) return session;
+  let len = 4;
+  while (len < session.id.length && twins.some((s) => s.id.slice(0, len) === session.id.slice(0, len))) {
+    len++;
+  }
+  return { ...session, name: `${session.name}#${session.id.slice(0, len)}` };
+}
+
+/**
+ * Find a session by ID, display name, label, generated name or unique ID prefix.
+ * @param {Array} sessions - From loadAllSessions().
+ * @param {string} query
+ * @returns {{session: object|null, matches: Array}} matches lists every
+ *   candidate when the query is ambiguous.
+ */
+function findSession(sessions, query) {
+  const exact = sessions.find((s) => s.id === query || s.name === query);
+  if (exact) return { session: exact, matches: [exact] };
+  const matches = sessions.filter((s) =>
+    s.label === query || s.agentName === query || s.id.startsWith(query));
+  return { session: matches.length === 1 ? matches[0] : null, matches };
 }
 
 /**
- * Remove JSONL files for inactive sessions (ended or stale).
- * Sessions with status 'ended' or 'stale' are no longer doing useful work.
+ * Remove JSONL files for inactive sessions (ended, crashed or stale).
+ * These are no longer doing useful work. When an archive is configured,
+ * sessions not yet confirmed in it are kept.
+ * @returns {number} Number of files removed.
  */
 function clearEndedSessions() {
   if (!fs.existsSync(STATE_DIR)) return 0;
@@ -151,9 +860,8 @@ function clearEndedSessions() {
   let cleared = 0;
 
   for (const file of files) {
-    const events = parseJsonlFile(path.join(STATE_DIR, file));
-    const session = buildSession(events);
-    if (session && (session.status === 'ended' || session.status === 'stale')) {
+    const session = describeSession(parseJsonlFile(path.join(STATE_DIR, file)));
+    if (session && INACTIVE_STATUSES.has(session.status) && isArchived(session.id)) {
       try {
         fs.unlinkSync(path.join(STATE_DIR, file));
         cleared++;
@@ -166,4 +874,8 @@ function clearEndedSessions() {
   return cleared;
 }
 
-module.exports = { loadAllSessions, clearEndedSessions };
+module.exports = {
+  loadAllSessions, clearEndedSessions, findSession,
+  buildSession, buildToolHistory, describeSession, listSessions,
+  pairToolEvents, deriveStatus, parseJsonlLines, parseJsonlFile, pairTurns, STATE_DIR, INACTIVE_STATUSES,
+};
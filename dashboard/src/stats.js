@@ -1,6 +1,6 @@
 'use strict';
 
-const path = require('path');
+const { projectOf } = require('./relationships');
 
 /**
  * Compute aggregate statistics from all sessions.
@@ -10,47 +10,157 @@ const path = require('path');
 function computeStats(sessions) {
   const totalSessions = sessions.length;
   const activeSessions = sessions.filter((s) => s.status === 'active').length;
+  const waitingSessions = sessions.filter((s) => s.status === 'waiting').length;
+  const pausedSessions = sessions.filter((s) => s.status === 'paused').length;
   const idleSessions = sessions.filter((s) => s.status === 'idle' || s.status === 'stale').length;
   const endedSessions = sessions.filter((s) => s.status === 'ended').length;
+  const crashedSessions = sessions.filter((s) => s.status === 'crashed').length;
 
   let totalTools = 0;
   let totalMessages = 0;
+  let totalCompactions = 0;
+  let totalErrors = 0;
+  let totalLinesAdded = 0;
+  let totalLinesRemoved = 0;
+  let totalFilesChanged = 0;
+  let totalTokens = 0;
+  let totalCostUsd = 0;
+  let totalWallMs = 0;
+  let totalActiveMs = 0;
+  let totalIdleMs = 0;
+  let totalWaitingMs = 0;
+  let totalTurns = 0;
+  let finishedTurns = 0;
+  let finishedTurnMs = 0;
+  let longestTurnMs = 0;
   const toolDistribution = {};
   const projectMap = {};
+  const modelMap = {};
+  const sessionCompactions = [];
 
   for (const s of sessions) {
+    const compactions = (s.compactions || []).length;
     totalTools += s.toolCount || 0;
     totalMessages += s.messageCount || 0;
+    totalCompactions += compactions;
+    totalErrors += s.errorCount || 0;
 
-    // Tool distribution from recentTools
-    for (const t of (s.recentTools || [])) {
-      const name = t.toolName || 'unknown';
-      toolDistribution[name] = (toolDistribution[name] || 0) + 1;
+    // Tool distribution over every tool call, not just the recent ones
+    for (const [name, count] of Object.entries(s.toolCounts || {})) {
+      toolDistribution[name] = (toolDistribution[name] || 0) + count;
     }
 
     // Project breakdown
-    const project = s.cwd ? path.basename(s.cwd) : 'unknown';
+    const project = projectOf(s) || 'unknown';
     if (!projectMap[project]) {
-      projectMap[project] = { sessions: 0, tools: 0, messages: 0 };
+      projectMap[project] = { sessions: 0, tools: 0, messages: 0, compactions: 0, errors: 0, tokens: 0, costUsd: 0, linesAdded: 0, linesRemoved: 0, filesChanged: 0, activeMs: 0 };
     }
     projectMap[project].sessions += 1;
     projectMap[project].tools += s.toolCount || 0;
     projectMap[project].messages += s.messageCount || 0;
+    projectMap[project].compactions += compactions;
+    projectMap[project].errors += s.errorCount || 0;
+
+    // Line churn from Edit/MultiEdit/Write
+    if (s.churn) {
+      totalLinesAdded += s.churn.added;
+      totalLinesRemoved += s.churn.removed;
+      totalFilesChanged += s.churn.files.length;
+      projectMap[project].linesAdded += s.churn.added;
+      projectMap[project].linesRemoved += s.churn.removed;
+      projectMap[project].filesChanged += s.churn.files.length;
+    }
+
+    // Wall/active/idle time and turns
+    if (s.activity) {
+      const a = s.activity;
+      totalWallMs += a.wallMs;
+      totalActiveMs += a.activeMs;
+      totalIdleMs += a.idleMs;
+      totalWaitingMs += a.waitingMs;
+      totalTurns += a.turnCount;
+      projectMap[project].activeMs += a.activeMs;
+      for (const t of a.turns) {
+        if (t.endedAt == null) continue;
+        finishedTurns += 1;
+        finishedTurnMs += t.durationMs;
+        longestTurnMs = Math.max(longestTurnMs, t.durationMs);
+      }
+    }
+
+    // Token usage and estimated cost, per project and per model
+    if (s.usage) {
+      totalTokens += s.usage.total;
+      totalCostUsd += s.usage.costUsd;
+      projectMap[project].tokens += s.usage.total;
+      projectMap[project].costUsd += s.usage.costUsd;
+      for (const [model, u] of Object.entries(s.usage.byModel)) {
+        if (!modelMap[model]) {
+          modelMap[model] = { sessions: 0, input: 0, output: 0, cacheRead: 0, cacheWrite: 0, tokens: 0, costUsd: 0, priced: true };
+        }
+        const m = modelMap[model];
+        if (s.usage.unpricedModels.includes(model)) m.priced = false;
+        m.sessions += 1;
+        m.input += u.input;
+        m.output += u.output;
+        m.cacheRead += u.cacheRead;
+        m.cacheWrite += u.cacheWrite;
+        m.tokens += u.total;
+        m.costUsd += u.costUsd;
+      }
+    }
+
+    // Per-session compactions (only sessions that were compacted)
+    if (compactions > 0) {
+      const auto = s.compactions.filter((c) => c.trigger === 'auto').length;
+      sessionCompactions.push({ id: s.id, name: s.name, project, compactions, auto, manual: compactions - auto });
+    }
   }
 
   const projectBreakdown = Object.entries(projectMap)
     .map(([project, data]) => ({ project, ...data }))
     .sort((a, b) => b.tools - a.tools);
 
+  const modelBreakdown = Object.entries(modelMap)
+    .map(([model, data]) => ({ model, ...data }))
+    .sort((a, b) => b.costUsd - a.costUsd || b.tokens - a.tokens);
+
+  sessionCompactions.sort((a, b) => b.compactions - a.compactions);
+
   return {
     totalSessions,
     activeSessions,
+    waitingSessions,
+    pausedSessions,
     idleSessions,
     endedSessions,
+    crashedSessions,
     totalTools,
     totalMessages,
+    totalCompactions,
+    totalErrors,
+    // Share of tool calls that failed (0..1)
+    errorRate: totalTools > 0 ? totalErrors / totalTools : 0,
+    totalLinesAdded,
+    totalLinesRemoved,
+    // Summed per session: a file edited in two sessions counts twice
+    totalFilesChanged,
+    totalTokens,
+    totalCostUsd,
+    totalWallMs,
+    totalActiveMs,
+    totalIdleMs,
+    // Blocked on a permission prompt; idle time is waiting for the next prompt
+    totalWaitingMs,
+    // Share of wall time spent waiting on a human, idle or for permission (0..1)
+    humanWaitRate: totalWallMs > 0 ? (totalIdleMs + totalWaitingMs) / totalWallMs : 0,
+    totalTurns,
+    avgTurnMs: finishedTurns > 0 ? finishedTurnMs / finishedTurns : 0,
+    longestTurnMs,
     toolDistribution,
     projectBreakdown,
+    modelBreakdown,
+    sessionCompactions,
   };
 }
 
@@ -0,0 +1,269 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { buildSession, listSessions, parseJsonlLines, STATE_DIR } = require('./state');
+const { loadLabels } = require('./labels');
+const { PAUSE_DIR } = require('../../hooks/lib/pause');
+
+// Sessions in these states only change when new events arrive; the rest
+// (active, idle, waiting, paused) also move with the clock and are rebuilt on tick()
+const SETTLED_STATUSES = new Set(['ended', 'crashed']);
+
+/**
+ * Whether a session can change without new events. A stale session can still
+ * turn out crashed, unless it has no recorded agent PID to check.
+ */
+function isSettled(session) {
+  return SETTLED_STATUSES.has(session.status) || (session.status === 'stale' && !session.pid);
+}
+
+/**
+ * SessionStore — keeps derived session state in memory and tails the
+ * per-session JSONL files, parsing only the lines appended since the last
+ * refresh and rebuilding only the sessions whose inputs changed.
+ *
+ * Events:
+ *   'session' (session, previous)   a listed session was added or changed
+ *                                   (previous is null for a new one)
+ *   'removed' (sessionId, previous) a session left the list
+ *   'update'  ({ changed, removed }) once per refresh that changed anything
+ */
+class SessionStore extends EventEmitter {
+  /**
+   * @param {object} config - Config object with maxRecentTools, modelPrices and transcript.
+   */
+  constructor(config) {
+    super();
+    this._config = config || {};
+    // file name -> { offset, ino, events, session, dirty }
+    this._files = new Map();
+    this._list = [];
+    this._byId = new Map();
+    this._labelsKey = null;
+    this._paused = new Set();
+  }
+
+  /**
+   * Apply a new config; every session is rebuilt on the next refresh.
+   */
+  updateConfig(config) {
+    this._config = config || {};
+    this._markAll();
+  }
+
+  /**
+   * Current session list: ghosts hidden, most recent first.
+   */
+  getSessions() {
+    return this._list;
+  }
+
+  /**
+   * A listed session by ID, or null.
+   */
+  getSession(sessionId) {
+    return this._byId.get(sessionId) || null;
+  }
+
+  /**
+   * Every session file with its derived session, hidden ones included.
+   * @returns {Map<string, object>} file name -> session
+   */
+  getFileSessions() {
+    const result = new Map();
+    for (const [name, entry] of this._files) {
+      if (entry.session) result.set(name, entry.session);
+    }
+    return result;
+  }
+
+  /**
+   * A session's complete event list as last read, oldest first. The array is
+   * replaced, not mutated, when lines are appended.
+   * @returns {Array|null} null if the session has no file.
+   */
+  getEvents(sessionId) {
+    const entry = this._files.get(`${sessionId}.jsonl`);
+    return entry ? entry.events : null;
+  }
+
+  /**
+   * Rebuild a session on the next refresh even if its file has not changed.
+   */
+  invalidate(sessionId) {
+    for (const entry of this._files.values()) {
+      if (entry.session && entry.session.id === sessionId) entry.dirty = true;
+    }
+  }
+
+  /**
+   * Read appended events and rebuild changed sessions.
+   * @returns {{changed: string[], removed: string[]}|null} null when nothing changed.
+   */
+  refresh() {
+    this._scanFiles();
+    this._checkLabels();
+    this._checkPauses();
+    return this._rebuild();
+  }
+
+  /**
+   * Periodic refresh: also rebuilds live sessions, whose status and
+   * transcript-derived state can change without new hook events.
+   * @returns {{changed: string[], removed: string[]}|null}
+   */
+  tick() {
+    for (const entry of this._files.values()) {
+      if (!entry.session || !isSettled(entry.session)) entry.dirty = true;
+    }
+    return this.refresh();
+  }
+
+  _markAll() {
+    for (const entry of this._files.values()) entry.dirty = true;
+  }
+
+  /**
+   * Pick up new, grown and deleted session files.
+   */
+  _scanFiles() {
+    let names = [];
+    try {
+      names = fs.readdirSync(STATE_DIR).filter((f) => f.endsWith('.jsonl'));
+    } catch {
+      // State directory not created yet
+    }
+
+    const present = new Set(names);
+    for (const name of this._files.keys()) {
+      if (!present.has(name)) this._files.delete(name);
+    }
+
+    for (const name of names) {
+      let entry = this._files.get(name);
+      if (!entry) {
+        entry = { offset: 0, ino: null, events: [], session: null, dirty: true };
+        this._files.set(name, entry);
+      }
+      this._readAppended(path.join(STATE_DIR, name), entry);
+    }
+  }
+
+  /**
+   * Parse the complete lines appended to a file since its last read. A line
+   * still being written stays unread until its newline arrives.
+   */
+  _readAppended(filePath, entry) {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch {
+      return;
+    }
+
+    // Replaced or truncated: start over
+    if (stat.ino !== entry.ino || stat.size < entry.offset) {
+      entry.ino = stat.ino;
+      entry.offset = 0;
+      entry.events = [];
+      entry.dirty = true;
+    }
+    if (stat.size === entry.offset) return;
+
+    const buf = Buffer.alloc(stat.size - entry.offset);
+    let bytesRead = 0;
+    let fd = null;
+    try {
+      fd = fs.openSync(filePath, 'r');
+      bytesRead = fs.readSync(fd, buf, 0, buf.length, entry.offset);
+    } catch {
+      return;
+    } finally {
+      if (fd !== null) fs.closeSync(fd);
+    }
+
+    const end = buf.subarray(0, bytesRead).lastIndexOf(0x0a) + 1;
+    if (end === 0) return;
+
+    entry.events = entry.events.concat(parseJsonlLines(buf.toString('utf8', 0, end)));
+    entry.offset += end;
+    entry.dirty = true;
+  }
+
+  /**
+   * Labels can change from another process (cam rename); rebuild everything
+   * when they do, since a rename can also change who needs a disambiguating suffix.
+   */
+  _checkLabels() {
+    const key = JSON.stringify(loadLabels());
+    if (key !== this._labelsKey) {
+      this._labelsKey = key;
+      this._markAll();
+    }
+  }
+
+  /**
+   * Rebuild sessions whose pause flag appeared or disappeared.
+   */
+  _checkPauses() {
+    let paused = new Set();
+    try {
+      paused = new Set(fs.readdirSync(PAUSE_DIR)
+        .filter((f) => f.endsWith('.json'))
+        .map((f) => f.slice(0, -5)));
+    } catch {
+      // No session has been paused yet
+    }
+
+    for (const id of paused) {
+      if (!this._paused.has(id)) this.invalidate(id);
+    }
+    for (const id of this._paused) {
+      if (!paused.has(id)) this.invalidate(id);
+    }
+    this._paused = paused;
+  }
+
+  /**
+   * Rebuild dirty sessions, recompute the list and emit what changed.
+   */
+  _rebuild() {
+    const maxRecentTools = this._config.maxRecentTools || 10;
+    const modelPrices = this._config.modelPrices || {};
+    const rebuilt = new Set();
+
+    for (const entry of this._files.values()) {
+      if (!entry.dirty) continue;
+      entry.dirty = false;
+      entry.session = buildSession(entry.events, maxRecentTools, modelPrices, this._config.transcript);
+      if (entry.session) rebuilt.add(entry.session.id);
+    }
+
+    const previous = this._byId;
+    this._list = listSessions([...this._files.values()].map((entry) => entry.session));
+    this._byId = new Map(this._list.map((s) => [s.id, s]));
+
+    // A session also changes when a twin appears or leaves and its suffix changes
+    const changed = this._list.filter((s) => {
+      const old = previous.get(s.id);
+      return !old || rebuilt.has(s.id) || old.name !== s.name;
+    });
+    const removed = [...previous.keys()].filter((id) => !this._byId.has(id));
+
+    if (changed.length === 0 && removed.length === 0) return null;
+
+    for (const s of changed) {
+      this.emit('session', s, previous.get(s.id) || null);
+    }
+    for (const id of removed) {
+      this.emit('removed', id, previous.get(id));
+    }
+    const delta = { changed: changed.map((s) => s.id), removed };
+    this.emit('update', delta);
+    return delta;
+  }
+}
+
+module.exports = { SessionStore };
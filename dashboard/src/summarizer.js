@@ -1,11 +1,11 @@
 'use strict';
 
-const https = require('https');
-const http = require('http');
-const url = require('url');
+const { redactText } = require('../../hooks/lib/shared');
+const { describeTool } = require('../../hooks/lib/formatters');
+const { complete, isConfigured } = require('./provider');
+const { loadSummaryCache, claimRefresh, storeSummary } = require('./summary-cache');
 
 const DEBOUNCE_MS = 10000; // 10 seconds between API calls per session
-const REQUEST_TIMEOUT_MS = 10000; // 10 second timeout
 
 /**
  * Generate a rule-based summary from recent tools.
@@ -15,70 +15,65 @@ function ruleSummary(session) {
   const tools = session.recentTools || [];
   if (tools.length === 0) {
     switch (session.status) {
+      case 'waiting': return 'Waiting for permission';
+      case 'paused': return 'Paused by operator';
       case 'idle': return 'Waiting for input';
       case 'stale': return 'Inactive for 5+ minutes';
       case 'ended': return 'Session ended';
+      case 'crashed': return 'Agent process exited without ending the session';
       default: return 'Starting up';
     }
   }
 
-  // Group tools by type
+  // Group tools by formatter category (see hooks/lib/formatters.js)
   const groups = {};
+  const labels = {};
   for (const t of tools) {
-    const name = t.toolName;
-    if (!groups[name]) groups[name] = [];
-    groups[name].push(t);
+    const { category, label } = describeTool(t.toolName);
+    if (!groups[category]) groups[category] = [];
+    groups[category].push(t);
+    labels[category] = label;
   }
 
   const parts = [];
+  const plural = (n, label) => `${n} ${label}${n > 1 ? (/(?:s|sh|ch|x)$/.test(label) ? 'es' : 's') : ''}`;
 
   // File operations
-  const editFiles = (groups['Edit'] || []).map((t) => t.toolSummary);
-  const writeFiles = (groups['Write'] || []).map((t) => t.toolSummary);
-  const readFiles = (groups['Read'] || []).map((t) => t.toolSummary);
-  const allEditedFiles = [...new Set([...editFiles, ...writeFiles])];
-
-  if (allEditedFiles.length > 0) {
-    const fileList = allEditedFiles.slice(0, 3).join(', ');
-    const extra = allEditedFiles.length > 3 ? ` +${allEditedFiles.length - 3}` : '';
-    parts.push(`Editing ${allEditedFiles.length} file${allEditedFiles.length > 1 ? 's' : ''} (${fileList}${extra})`);
-  }
+  const editedFiles = [...new Set((groups.edit || []).map((t) => t.toolSummary))];
+  const readFiles = (groups.read || []).map((t) => t.toolSummary);
 
-  if (readFiles.length > 0 && allEditedFiles.length === 0) {
-    const fileList = [...new Set(readFiles)].slice(0, 3).join(', ');
-    parts.push(`Reading ${fileList}`);
+  if (editedFiles.length > 0) {
+    const fileList = editedFiles.slice(0, 3).join(', ');
+    const extra = editedFiles.length > 3 ? ` +${editedFiles.length - 3}` : '';
+    parts.push(`Editing ${editedFiles.length} file${editedFiles.length > 1 ? 's' : ''} (${fileList}${extra})`);
   }
 
-  // Bash commands
-  const bashCmds = groups['Bash'] || [];
-  if (bashCmds.length > 0) {
-    parts.push(`ran ${bashCmds.length} command${bashCmds.length > 1 ? 's' : ''}`);
+  // Session-wide line churn: "+120/-34 across 6 files"
+  const churn = session.churn;
+  if (churn && churn.added + churn.removed > 0) {
+    const n = churn.files.length;
+    parts.push(`+${churn.added}/-${churn.removed} across ${n} file${n > 1 ? 's' : ''}`);
   }
 
-  // Search operations
-  const greps = groups['Grep'] || [];
-  const globs = groups['Glob'] || [];
-  const searches = greps.length + globs.length;
-  if (searches > 0) {
-    parts.push(`${searches} search${searches > 1 ? 'es' : ''}`);
+  if (readFiles.length > 0 && editedFiles.length === 0) {
+    const fileList = [...new Set(readFiles)].slice(0, 3).join(', ');
+    parts.push(`Reading ${fileList}`);
   }
 
-  // Task/agent operations
-  const tasks = groups['Task'] || [];
-  if (tasks.length > 0) {
-    parts.push(`${tasks.length} sub-agent${tasks.length > 1 ? 's' : ''}`);
+  // Bash commands
+  const commands = (groups.command || []).length;
+  if (commands > 0) {
+    parts.push(`ran ${plural(commands, 'command')}`);
   }
 
-  // Web operations
-  const webSearches = groups['WebSearch'] || [];
-  const webFetches = groups['WebFetch'] || [];
-  const webOps = webSearches.length + webFetches.length;
-  if (webOps > 0) {
-    parts.push(`${webOps} web request${webOps > 1 ? 's' : ''}`);
+  // Everything else is counted by its label: "3 searches", "2 GitHub calls".
+  // Core categories keep a fixed order; MCP and custom tools follow as seen.
+  const counted = ['search', 'agent', 'web'].filter((c) => groups[c]);
+  for (const category of Object.keys(groups)) {
+    if (!['edit', 'read', 'command', ...counted].includes(category)) counted.push(category);
   }
-
-  if (parts.length === 0) {
-    return `Using ${Object.keys(groups).join(', ')}`;
+  for (const category of counted) {
+    parts.push(plural(groups[category].length, labels[category]));
   }
 
   // Capitalize first part
@@ -149,7 +144,8 @@ function buildTopicPrompt(config, session) {
     ? ` Respond in ${config.language}.`
     : '';
 
-  return `Given this conversation between a user and a coding agent working in "${session.cwd}":\n\n${msgSection}${toolSnippet}\n\nWrite a very short topic title (under 30 characters, like a browser tab title) that describes what this session is about. Just the topic, no quotes, no punctuation, no explanation.${langInstruction}`;
+  // Transcript text is not redacted at capture time; mask before it leaves the machine
+  return redactText(`Given this conversation between a user and a coding agent working in "${session.cwd}":\n\n${msgSection}${toolSnippet}\n\nWrite a very short topic title (under 30 characters, like a browser tab title) that describes what this session is about. Just the topic, no quotes, no punctuation, no explanation.${langInstruction}`).text;
 }
 
 /**
@@ -193,179 +189,15 @@ function buildPrompt(config, session) {
     ? ` Respond in ${config.language}.`
     : '';
 
-  return `You are summarizing what a coding agent is doing. Given these recent tool calls for agent "${session.name}" working in project "${session.cwd}":\n\n${toolList}${msgSection}\n\nWrite a 1-2 sentence summary of what the agent is currently doing. Be concise and specific. No markdown.${langInstruction}`;
-}
-
-/**
- * Call API to generate an AI summary.
- * Detects provider from config to use Anthropic or OpenAI-compatible format.
- * Returns a promise that resolves with summary text or null on failure.
- */
-function callApi(config, session) {
-  return new Promise((resolve) => {
-    const prompt = buildPrompt(config, session);
-    const isAnthropic = config.provider === 'anthropic';
-
-    const body = JSON.stringify({
-      model: config.model,
-      max_tokens: 100,
-      messages: [{ role: 'user', content: prompt }],
-    });
-
-    const parsed = url.parse(config.baseUrl);
-    const isHttps = parsed.protocol === 'https:';
-    const mod = isHttps ? https : http;
-
-    // Anthropic uses /messages, others use /chat/completions
-    const apiPath = isAnthropic ? '/v1/messages' : '/v1/chat/completions';
-    // Strip trailing /v1 from baseUrl if present, since we add it in apiPath
-    let basePath = parsed.path || '';
-    if (basePath.endsWith('/v1')) basePath = basePath.slice(0, -3);
-    if (basePath.endsWith('/v1/')) basePath = basePath.slice(0, -4);
-
-    const headers = {
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(body),
-    };
-
-    if (isAnthropic) {
-      headers['x-api-key'] = config.apiKey;
-      headers['anthropic-version'] = '2023-06-01';
-    } else {
-      headers['Authorization'] = `Bearer ${config.apiKey}`;
-    }
-
-    const reqOptions = {
-      hostname: parsed.hostname,
-      port: parsed.port || (isHttps ? 443 : 80),
-      path: basePath + apiPath,
-      method: 'POST',
-      headers,
-      timeout: REQUEST_TIMEOUT_MS,
-    };
-
-    const req = mod.request(reqOptions, (res) => {
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => {
-        try {
-          const data = JSON.parse(Buffer.concat(chunks).toString());
-          if (isAnthropic) {
-            // Anthropic format: content[0].text
-            if (data.content && data.content[0] && data.content[0].text) {
-              resolve(data.content[0].text.trim());
-            } else {
-              resolve(null);
-            }
-          } else {
-            // OpenAI format: choices[0].message.content
-            if (data.choices && data.choices[0] && data.choices[0].message) {
-              resolve(data.choices[0].message.content.trim());
-            } else {
-              resolve(null);
-            }
-          }
-        } catch {
-          resolve(null);
-        }
-      });
-    });
-
-    req.on('error', () => resolve(null));
-    req.on('timeout', () => {
-      req.destroy();
-      resolve(null);
-    });
-
-    req.write(body);
-    req.end();
-  });
-}
-
-/**
- * Call API to generate an AI topic summary.
- * Same as callApi but uses the pre-built topic prompt from session._topicPrompt.
- */
-function callTopicApi(config, session) {
-  return new Promise((resolve) => {
-    const prompt = session._topicPrompt;
-    const isAnthropic = config.provider === 'anthropic';
-
-    const body = JSON.stringify({
-      model: config.model,
-      max_tokens: 60,
-      messages: [{ role: 'user', content: prompt }],
-    });
-
-    const parsed = url.parse(config.baseUrl);
-    const isHttps = parsed.protocol === 'https:';
-    const mod = isHttps ? https : http;
-
-    const apiPath = isAnthropic ? '/v1/messages' : '/v1/chat/completions';
-    let basePath = parsed.path || '';
-    if (basePath.endsWith('/v1')) basePath = basePath.slice(0, -3);
-    if (basePath.endsWith('/v1/')) basePath = basePath.slice(0, -4);
-
-    const headers = {
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(body),
-    };
-
-    if (isAnthropic) {
-      headers['x-api-key'] = config.apiKey;
-      headers['anthropic-version'] = '2023-06-01';
-    } else {
-      headers['Authorization'] = `Bearer ${config.apiKey}`;
-    }
-
-    const reqOptions = {
-      hostname: parsed.hostname,
-      port: parsed.port || (isHttps ? 443 : 80),
-      path: basePath + apiPath,
-      method: 'POST',
-      headers,
-      timeout: REQUEST_TIMEOUT_MS,
-    };
-
-    const req = mod.request(reqOptions, (res) => {
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => {
-        try {
-          const data = JSON.parse(Buffer.concat(chunks).toString());
-          if (isAnthropic) {
-            if (data.content && data.content[0] && data.content[0].text) {
-              resolve(data.content[0].text.trim());
-            } else {
-              resolve(null);
-            }
-          } else {
-            if (data.choices && data.choices[0] && data.choices[0].message) {
-              resolve(data.choices[0].message.content.trim());
-            } else {
-              resolve(null);
-            }
-          }
-        } catch {
-          resolve(null);
-        }
-      });
-    });
-
-    req.on('error', () => resolve(null));
-    req.on('timeout', () => {
-      req.destroy();
-      resolve(null);
-    });
-
-    req.write(body);
-    req.end();
-  });
+  // Transcript text is not redacted at capture time; mask before it leaves the machine
+  return redactText(`You are summarizing what a coding agent is doing. Given these recent tool calls for agent "${session.name}" working in project "${session.cwd}":\n\n${toolList}${msgSection}\n\nWrite a 1-2 sentence summary of what the agent is currently doing. Be concise and specific. No markdown.${langInstruction}`).text;
 }
 
 /**
  * SummaryManager — caches and debounces summaries per session.
  * Uses rule-based fallback, optional AI via configurable provider.
+ * AI results are persisted (see summary-cache.js), so a restarted dashboard,
+ * or the TUI and web server side by side, reuse them instead of calling again.
  */
 class SummaryManager {
   constructor(config) {
@@ -375,6 +207,8 @@ class SummaryManager {
     this._pending = new Set(); // sessionIds with in-flight API calls
     this._topicPending = new Set(); // sessionIds with in-flight topic calls
     this.onUpdate = null; // callback when async summary arrives
+    this.onError = null; // callback (ProviderError) when AI calls start failing
+    this.lastError = null; // last provider error, cleared by the next success
   }
 
   /**
@@ -394,23 +228,33 @@ class SummaryManager {
     const now = Date.now();
 
     const msgCount = session.messageCount || 0;
+    const matches = (entry) => entry && entry.toolCount === session.toolCount && entry.msgCount === msgCount;
 
     // Return cached if both toolCount and messageCount unchanged
-    if (cached && cached.toolCount === session.toolCount && cached.msgCount === msgCount) {
+    if (matches(cached)) {
       return cached.text;
     }
 
-    // Trigger async AI refresh if API key is configured
+    // Persisted by an earlier run or the other dashboard
+    const stored = loadSummaryCache().summaries[id];
+    if (matches(stored)) {
+      this._cache[id] = stored;
+      return stored.text;
+    }
+
+    // Trigger async AI refresh if a provider is configured
+    const enabled = isConfigured(this._config);
     if (
-      this._config.apiKey &&
+      enabled &&
       !this._pending.has(id) &&
       (!cached || now - cached.ts >= DEBOUNCE_MS)
     ) {
-      this._refreshSummary(session);
+      this._refreshSummary(session, stored);
     }
 
     // Return rule-based immediately (or stale cached text while AI loads)
     if (cached && cached.text) return cached.text;
+    if (enabled && stored && stored.text) return stored.text;
     return ruleSummary(session);
   }
 
@@ -424,108 +268,106 @@ class SummaryManager {
     const now = Date.now();
     const msgCount = session.messageCount || 0;
 
+    const matches = (entry) => entry && entry.msgCount === msgCount && entry.text;
+
     // Return cached if message count hasn't changed
-    if (cached && cached.msgCount === msgCount && cached.text) {
+    if (matches(cached)) {
       return cached.text;
     }
 
-    // Trigger async AI refresh if API key is configured
+    // Persisted by an earlier run or the other dashboard
+    const stored = loadSummaryCache().topics[id];
+    if (matches(stored)) {
+      this._topicCache[id] = stored;
+      return stored.text;
+    }
+
+    // Trigger async AI refresh if a provider is configured
+    const enabled = isConfigured(this._config);
     if (
-      this._config.apiKey &&
+      enabled &&
       !this._topicPending.has(id) &&
       msgCount > 0 &&
       (!cached || now - cached.ts >= DEBOUNCE_MS)
     ) {
-      this._refreshTopic(session);
+      this._refreshTopic(session, stored);
     }
 
     // Return stale cached text while AI loads, or rule-based fallback
     if (cached && cached.text) return cached.text;
+    if (enabled && stored && stored.text) return stored.text;
     return ruleTopicSummary(session);
   }
 
   /**
-   * Async: call API and update topic cache.
+   * Async: call the provider; resolves with its text, or null after a failure
+   * (reported through onError once per run of failures).
    */
-  _refreshTopic(session) {
+  _complete(prompt, maxTokens) {
+    return complete(this._config, prompt, { maxTokens }).then(
+      (text) => {
+        this.lastError = null;
+        return text;
+      },
+      (err) => {
+        const isNew = !this.lastError || this.lastError.message !== err.message;
+        this.lastError = err;
+        if (isNew && this.onError) this.onError(err);
+        return null;
+      }
+    );
+  }
+
+  /**
+   * Async: call API and update topic cache. While the other dashboard is
+   * already refreshing this topic, keep the stale text and look again after
+   * the debounce.
+   */
+  _refreshTopic(session, stored) {
     const id = session.id;
+    if (!claimRefresh('topics', id)) {
+      this._topicCache[id] = { text: (stored && stored.text) || ruleTopicSummary(session), msgCount: null, ts: Date.now() };
+      return;
+    }
     this._topicPending.add(id);
 
-    // Reuse callApi but with topic prompt
-    const origBuildPrompt = buildPrompt;
-    const topicPrompt = buildTopicPrompt(this._config, session);
-
-    // Create a temporary session-like object with the topic prompt
-    const topicSession = { ...session, _topicPrompt: topicPrompt };
-
-    callTopicApi(this._config, topicSession)
-      .then((text) => {
-        this._topicPending.delete(id);
-        if (text) {
-          this._topicCache[id] = {
-            text,
-            msgCount: session.messageCount || 0,
-            ts: Date.now(),
-          };
-        } else {
-          this._topicCache[id] = {
-            text: ruleTopicSummary(session),
-            msgCount: session.messageCount || 0,
-            ts: Date.now(),
-          };
-        }
-        if (this.onUpdate) this.onUpdate();
-      })
-      .catch(() => {
-        this._topicPending.delete(id);
-        this._topicCache[id] = {
-          text: ruleTopicSummary(session),
-          msgCount: session.messageCount || 0,
-          ts: Date.now(),
-        };
-        if (this.onUpdate) this.onUpdate();
-      });
+    this._complete(buildTopicPrompt(this._config, session), 60).then((text) => {
+      this._topicPending.delete(id);
+      const entry = {
+        text: text || ruleTopicSummary(session), // rule-based when the API failed
+        msgCount: session.messageCount || 0,
+        ts: Date.now(),
+      };
+      this._topicCache[id] = entry;
+      storeSummary('topics', id, text ? entry : null);
+      if (this.onUpdate) this.onUpdate();
+    });
   }
 
   /**
-   * Async: call API and update cache.
+   * Async: call API and update cache (same claim handling as _refreshTopic).
    */
-  _refreshSummary(session) {
+  _refreshSummary(session, stored) {
     const id = session.id;
+    if (!claimRefresh('summaries', id)) {
+      this._cache[id] = { text: (stored && stored.text) || ruleSummary(session), toolCount: null, msgCount: null, ts: Date.now() };
+      return;
+    }
     this._pending.add(id);
 
     const sessionMsgCount = session.messageCount || 0;
-    callApi(this._config, session)
-      .then((text) => {
-        this._pending.delete(id);
-        if (text) {
-          this._cache[id] = {
-            text,
-            toolCount: session.toolCount,
-            msgCount: sessionMsgCount,
-            ts: Date.now(),
-          };
-        } else {
-          // API failed, cache rule-based
-          this._cache[id] = {
-            text: ruleSummary(session),
-            toolCount: session.toolCount,
-            msgCount: sessionMsgCount,
-            ts: Date.now(),
-          };
-        }
-        if (this.onUpdate) this.onUpdate();
-      })
-      .catch(() => {
-        this._pending.delete(id);
-        this._cache[id] = {
-          text: ruleSummary(session),
-          toolCount: session.toolCount,
-          msgCount: sessionMsgCount,
-          ts: Date.now(),
-        };
-        if (this.onUpdate) this.onUpdate();
-      });
+    this._complete(buildPrompt(this._config, session), 100).then((text) => {
+      this._pending.delete(id);
+      const entry = {
+        text: text || ruleSummary(session), // rule-based when the API failed
+        toolCount: session.toolCount,
+        msgCount: sessionMsgCount,
+        ts: Date.now(),
+      };
+      this._cache[id] = entry;
+      storeSummary('summaries', id, text ? entry : null);
+      if (this.onUpdate) this.onUpdate();
+    });
   }
 }
 
@@ -0,0 +1,122 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// AI summaries and topics, shared by the TUI and the web server:
+// { summaries: {sessionId: {text, toolCount, msgCount, ts}},
+//   topics: {sessionId: {text, msgCount, ts}},
+//   claims: {"<kind>:<sessionId>": {pid, until}} }
+const SUMMARY_CACHE_PATH = path.join(os.homedir(), '.claude', 'agent-monitor', 'summaries.json');
+
+// Entries not refreshed for this long are dropped on the next write
+const MAX_ENTRY_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// How long a process's in-flight API call holds off the others (covers retries)
+const CLAIM_MS = 2 * 60 * 1000;
+
+// Cache: { data, mtime } — re-read only when another process wrote the file
+let _cache = null;
+
+function emptyCache() {
+  return { summaries: {}, topics: {}, claims: {} };
+}
+
+function readCacheFile() {
+  const data = emptyCache();
+  try {
+    const parsed = JSON.parse(fs.readFileSync(SUMMARY_CACHE_PATH, 'utf8'));
+    for (const key of Object.keys(data)) {
+      if (parsed && parsed[key] && typeof parsed[key] === 'object') data[key] = parsed[key];
+    }
+  } catch {
+    // Missing or malformed: start empty
+  }
+  return data;
+}
+
+/**
+ * Load the persisted summaries and topics, cached on the file's mtime.
+ * @returns {{summaries: object, topics: object, claims: object}}
+ */
+function loadSummaryCache() {
+  try {
+    const mtime = fs.statSync(SUMMARY_CACHE_PATH).mtimeMs;
+    if (_cache && _cache.mtime === mtime) return _cache.data;
+    const data = readCacheFile();
+    _cache = { data, mtime };
+    return data;
+  } catch {
+    return emptyCache();
+  }
+}
+
+/**
+ * Read-modify-write the cache file, dropping old entries and expired claims.
+ * Write-to-tmp + rename so the other process never reads half a file.
+ */
+function updateSummaryCache(mutate) {
+  const data = readCacheFile();
+  const now = Date.now();
+  mutate(data, now);
+
+  for (const kind of ['summaries', 'topics']) {
+    for (const [id, entry] of Object.entries(data[kind])) {
+      if (!entry || !(now - entry.ts < MAX_ENTRY_AGE_MS)) delete data[kind][id];
+    }
+  }
+  for (const [key, claim] of Object.entries(data.claims)) {
+    if (!claim || !(claim.until > now)) delete data.claims[key];
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(SUMMARY_CACHE_PATH), { recursive: true });
+    const tmpPath = SUMMARY_CACHE_PATH + '.tmp.' + process.pid;
+    fs.writeFileSync(tmpPath, JSON.stringify(data) + '\n', 'utf8');
+    fs.renameSync(tmpPath, SUMMARY_CACHE_PATH);
+  } catch {
+    // Summaries still work from memory
+  }
+  _cache = null;
+}
+
+/**
+ * Claim the API call that refreshes a session's summary or topic, so that a
+ * second dashboard waits for this one's result instead of paying for it again.
+ * @param {'summaries'|'topics'} kind
+ * @param {string} sessionId
+ * @returns {boolean} false while another live process holds the claim.
+ */
+function claimRefresh(kind, sessionId) {
+  const key = `${kind}:${sessionId}`;
+  const held = loadSummaryCache().claims[key];
+  if (held && held.pid !== process.pid && held.until > Date.now()) return false;
+
+  let claimed = true;
+  updateSummaryCache((data, now) => {
+    const current = data.claims[key];
+    if (current && current.pid !== process.pid && current.until > now) {
+      claimed = false;
+    } else {
+      data.claims[key] = { pid: process.pid, until: now + CLAIM_MS };
+    }
+  });
+  return claimed;
+}
+
+/**
+ * Store an AI result and release the claim. Without an entry (the call
+ * failed), only the claim is released.
+ * @param {'summaries'|'topics'} kind
+ * @param {string} sessionId
+ * @param {object|null} entry - {text, toolCount, msgCount, ts} or {text, msgCount, ts}.
+ */
+function storeSummary(kind, sessionId, entry) {
+  updateSummaryCache((data) => {
+    if (entry) data[kind][sessionId] = entry;
+    delete data.claims[`${kind}:${sessionId}`];
+  });
+}
+
+module.exports = { loadSummaryCache, claimRefresh, storeSummary, SUMMARY_CACHE_PATH };
@@ -1,46 +1,159 @@
 'use strict';
 
+const { summarizeTool, detailTool, briefResult } = require('../../hooks/lib/shared');
+const { pairTurns } = require('./state');
+
+/**
+ * Shape a recentTools entry as a timeline entry.
+ */
+function toolTimelineEntry(t) {
+  return {
+    type: 'tool',
+    ts: t.ts,
+    toolName: t.toolName,
+    toolSummary: t.toolSummary,
+    toolDetail: t.toolDetail || '',
+    toolResultBrief: t.toolResultBrief || '',
+    durationMs: t.durationMs != null ? t.durationMs : null,
+    error: t.error || null,
+    redacted: !!t.redacted,
+    ...(t.toolUseId ? { toolUseId: t.toolUseId } : {}),
+    ...(t.todos ? { todos: t.todos } : {}),
+    ...(t.lines ? { lines: t.lines } : {}),
+  };
+}
+
+/**
+ * Shape a conversation message as a timeline entry.
+ */
+function messageTimelineEntry(m) {
+  return {
+    type: m.role === 'user' ? 'user_message' : 'assistant_message',
+    ts: m.ts,
+    text: m.text,
+    source: m.source || 'transcript',
+    redacted: !!m.redacted,
+    ...(m.usage ? { model: m.model, usage: m.usage, costUsd: m.costUsd } : {}),
+  };
+}
+
 /**
- * Build a unified timeline by merging tool events and conversation messages.
+ * Build a unified timeline by merging tool events, conversation messages and
+ * context compactions.
  * Returns entries sorted by timestamp (newest first), matching recentTools order.
  *
- * @param {Array} recentTools - Array of {toolName, toolSummary, toolDetail, toolResultBrief, ts}
- * @param {Array} conversation - Array of {role, text, ts}
+ * With a structured transcript, messages and thinking come from it instead of
+ * `conversation`, and each transcript tool call is merged with its hook record
+ * by tool_use id: the entry keeps the hook's duration, error and line counts,
+ * takes the transcript's call time, and adds the full input and result.
+ * Transcript calls without a hook record still appear, and hook records
+ * without a transcript call keep their own timestamp, as do hook-captured
+ * prompts the transcript has not recorded yet.
+ *
+ * @param {Array} recentTools - Array of {toolName, toolSummary, toolDetail, toolResultBrief, durationMs, error, redacted, lines, toolUseId, ts}
+ * @param {Array} conversation - Array of {role, text, ts, source, redacted, model, usage, costUsd}
+ *   source: 'hook' for UserPromptSubmit captures, 'transcript' otherwise
+ *   redacted: true when secrets were masked in the text
+ *   model/usage/costUsd: only on assistant messages read from the transcript
+ * @param {Array} [compactions] - Array of {trigger, ts} from the PreCompact hook
+ * @param {Array} [transcript] - Typed entries from history.loadFullTranscript()
  * @returns {Array<{type: string, ts: number, ...}>}
- *   type: 'tool' | 'user_message' | 'assistant_message'
+ *   type: 'tool' | 'user_message' | 'assistant_message' | 'thinking' | 'compact'
+ *   Merged tool entries also carry input and result (full text, or null while running).
  */
-function buildTimeline(recentTools, conversation) {
-  const entries = [];
+function buildTimeline(recentTools, conversation, compactions, transcript) {
+  // Transcript entries go in reversed so that, after the stable sort below,
+  // entries written at the same instant stay in (newest-first) transcript order
+  const entries = transcript && transcript.length > 0
+    ? mergeTranscript(recentTools || [], conversation || [], transcript).reverse()
+    : [...(recentTools || []).map(toolTimelineEntry), ...(conversation || []).map(messageTimelineEntry)];
 
-  // Add tool entries
-  if (recentTools) {
-    for (const t of recentTools) {
-      entries.push({
-        type: 'tool',
-        ts: t.ts,
-        toolName: t.toolName,
-        toolSummary: t.toolSummary,
-        toolDetail: t.toolDetail || '',
-        toolResultBrief: t.toolResultBrief || '',
-      });
+  // Add compaction dividers
+  if (compactions) {
+    for (const c of compactions) {
+      entries.push({ type: 'compact', ts: c.ts, trigger: c.trigger || 'auto' });
     }
   }
 
-  // Add message entries
-  if (conversation) {
-    for (const m of conversation) {
+  // Sort newest first (matching recentTools convention)
+  entries.sort((a, b) => b.ts - a.ts);
+
+  return entries;
+}
+
+/**
+ * Chronological timeline entries from a structured transcript, with hook tool
+ * records merged in by tool_use id. Hook records from hooks that predate
+ * tool_use ids claim the first unclaimed call of the same tool that started
+ * before they finished.
+ */
+function mergeTranscript(tools, conversation, transcript) {
+  const results = new Map();
+  for (const e of transcript) {
+    if (e.type === 'tool_result') results.set(e.toolUseId, e);
+  }
+
+  const calls = transcript.filter((e) => e.type === 'tool_use');
+  const hookFor = new Map(); // tool_use id -> hook record
+  const unmatched = [];
+  const byId = new Set(calls.map((c) => c.id));
+  for (const t of [...tools].sort((a, b) => a.ts - b.ts)) {
+    let id = t.toolUseId && byId.has(t.toolUseId) ? t.toolUseId : null;
+    if (!id && !t.toolUseId) {
+      const call = calls.find((c) => !hookFor.has(c.id) && c.name === t.toolName && c.ts <= t.ts);
+      if (call) id = call.id;
+    }
+    if (id && !hookFor.has(id)) {
+      hookFor.set(id, t);
+    } else {
+      unmatched.push(toolTimelineEntry(t));
+    }
+  }
+
+  const entries = [];
+  for (const e of transcript) {
+    if (e.type === 'tool_use') {
+      const hook = hookFor.get(e.id);
+      const result = results.get(e.id) || null;
+      const base = hook ? toolTimelineEntry(hook) : {
+        type: 'tool',
+        toolName: e.name,
+        toolSummary: summarizeTool(e.name, e.input),
+        toolDetail: detailTool(e.name, e.input),
+        toolResultBrief: result ? briefResult(result.text) : '',
+        durationMs: result ? result.ts - e.ts : null,
+        error: null,
+        redacted: false,
+      };
+      const failed = !base.error && result && result.isError;
+      entries.push({
+        ...base,
+        ...(failed ? { error: { type: 'error', exitCode: null, message: briefResult(result.text) } } : {}),
+        ts: e.ts,
+        toolUseId: e.id,
+        input: e.input,
+        result: result ? result.text : null,
+        redacted: base.redacted || !!e.redacted || !!(result && result.redacted),
+      });
+    } else if (e.type === 'user' || e.type === 'assistant' || e.type === 'thinking') {
       entries.push({
-        type: m.role === 'user' ? 'user_message' : 'assistant_message',
-        ts: m.ts,
-        text: m.text,
+        type: e.type === 'thinking' ? 'thinking' : `${e.type}_message`,
+        ts: e.ts,
+        text: e.text,
+        source: 'transcript',
+        redacted: !!e.redacted,
+        ...(e.usage ? { model: e.model, usage: e.usage, costUsd: e.costUsd } : {}),
       });
     }
   }
 
-  // Sort newest first (matching recentTools convention)
-  entries.sort((a, b) => b.ts - a.ts);
+  const hookPrompts = conversation.filter((m) => m.source === 'hook');
+  const paired = new Set(pairTurns(hookPrompts, transcript.filter((e) => e.type === 'user')).values());
+  const prompts = hookPrompts
+    .filter((m) => !paired.has(m))
+    .map(messageTimelineEntry);
 
-  return entries;
+  return [...entries, ...unmatched, ...prompts];
 }
 
 module.exports = { buildTimeline };
@@ -0,0 +1,156 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const CLAUDE_PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
+
+// sessionId -> transcript path, shared by every dashboard process
+const INDEX_PATH = path.join(os.homedir(), '.claude', 'agent-monitor', 'transcript-index.json');
+
+// Without a watcher keeping the index current, a miss rescans at most this often
+const RESCAN_MS = 60 * 1000;
+
+// In-memory index: { files: Map<sessionId, path>, scannedAt, watching }
+let _index = null;
+
+/**
+ * The session ID of a top-level transcript path
+ * (~/.claude/projects/<project>/<sessionId>.jsonl), or null for anything else.
+ */
+function sessionIdOf(filePath) {
+  const rel = path.relative(CLAUDE_PROJECTS_DIR, filePath).split(path.sep);
+  if (rel.length !== 2 || rel[0] === '..' || !rel[1].endsWith('.jsonl')) return null;
+  return rel[1].slice(0, -6);
+}
+
+/**
+ * Read the persisted index; {} when it is missing or malformed.
+ */
+function readIndexFile() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+    return parsed && typeof parsed.files === 'object' && parsed.files ? parsed.files : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Persist the index, merged with what other processes wrote since we read it.
+ * Write-to-tmp + rename so a concurrent reader never sees half a file.
+ */
+function saveIndex() {
+  try {
+    const files = { ...readIndexFile(), ...Object.fromEntries(_index.files) };
+    fs.mkdirSync(path.dirname(INDEX_PATH), { recursive: true });
+    const tmpPath = INDEX_PATH + '.tmp.' + process.pid;
+    fs.writeFileSync(tmpPath, JSON.stringify({ files }) + '\n', 'utf8');
+    fs.renameSync(tmpPath, INDEX_PATH);
+  } catch {
+    // The in-memory index still works
+  }
+}
+
+function getIndex() {
+  if (!_index) {
+    _index = { files: new Map(Object.entries(readIndexFile())), scannedAt: 0, watching: false };
+  }
+  return _index;
+}
+
+/**
+ * Index every top-level transcript: one readdir per project directory.
+ */
+function scan() {
+  const index = getIndex();
+  index.scannedAt = Date.now();
+
+  let dirs = [];
+  try {
+    dirs = fs.readdirSync(CLAUDE_PROJECTS_DIR);
+  } catch {
+    return;
+  }
+
+  let added = false;
+  for (const dir of dirs) {
+    let files = [];
+    try {
+      files = fs.readdirSync(path.join(CLAUDE_PROJECTS_DIR, dir));
+    } catch {
+      continue;
+    }
+    for (const file of files) {
+      if (!file.endsWith('.jsonl')) continue;
+      const id = file.slice(0, -6);
+      const filePath = path.join(CLAUDE_PROJECTS_DIR, dir, file);
+      if (index.files.get(id) !== filePath) {
+        index.files.set(id, filePath);
+        added = true;
+      }
+    }
+  }
+  if (added) saveIndex();
+}
+
+/**
+ * Look up a session's transcript path. The index is built lazily on the first
+ * miss; later misses are answered from it (negative caching) and only rescan
+ * after RESCAN_MS, or never while a watcher keeps it current.
+ * @param {string} sessionId - The session UUID.
+ * @returns {string|null} Path to the transcript file, or null if not found.
+ */
+function lookupTranscript(sessionId) {
+  const index = getIndex();
+
+  const known = index.files.get(sessionId);
+  if (known) {
+    if (fs.existsSync(known)) return known;
+    index.files.delete(sessionId);
+  }
+
+  const canRescan = !index.watching && Date.now() - index.scannedAt >= RESCAN_MS;
+  if (index.scannedAt === 0 || canRescan) {
+    scan();
+    const found = index.files.get(sessionId);
+    if (found && fs.existsSync(found)) return found;
+  }
+  return null;
+}
+
+/**
+ * Record a transcript file seen by the watcher. Anything that is not a
+ * top-level transcript is ignored.
+ * @returns {string|null} The file's session ID, when it was recorded.
+ */
+function noteTranscript(filePath) {
+  const id = sessionIdOf(filePath);
+  if (!id) return null;
+  const index = getIndex();
+  if (index.files.get(id) !== filePath && fs.existsSync(filePath)) {
+    index.files.set(id, filePath);
+    saveIndex();
+  }
+  return id;
+}
+
+/**
+ * Mark whether a watcher is keeping the index current (see TranscriptWatcher).
+ * A watcher that starts after files appeared triggers one rescan on the next miss.
+ */
+function setWatching(watching) {
+  const index = getIndex();
+  if (watching && !index.watching) index.scannedAt = 0;
+  index.watching = watching;
+}
+
+module.exports = {
+  lookupTranscript,
+  noteTranscript,
+  setWatching,
+  sessionIdOf,
+  CLAUDE_PROJECTS_DIR,
+  INDEX_PATH,
+};
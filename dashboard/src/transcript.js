@@ -2,13 +2,24 @@
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
+const { summarizeTool, briefResult, redactText, loadRedactors } = require('../../hooks/lib/shared');
+const { lookupTranscript, CLAUDE_PROJECTS_DIR } = require('./transcript-index');
 
-const CLAUDE_PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
+// Tool names that spawn a sub-agent (Task in most versions, Agent in newer ones)
+const SUBAGENT_TOOLS = new Set(['Task', 'Agent']);
 
-// Cache: sessionId -> { messages, mtime }
+// Cache: sessionId -> { messages, key, redactors } (key: mtime and window options)
 const _cache = {};
 
+// Cache: sessionId -> { entries, key } — full transcripts, loaded on demand
+const _transcriptCache = {};
+
+// Cache: sessionId -> { subagents, signature }
+const _subagentCache = {};
+
+// Cache: sessionId -> { usage, signature }
+const _usageCache = {};
+
 /**
  * Encode a project path to the format Claude Code uses for project directories.
  * e.g., "/Users/foo/bar" → "-Users-foo-bar"
@@ -20,7 +31,8 @@ function encodeProjectPath(cwd) {
 
 /**
  * Find the Claude Code transcript file for a given session.
- * Looks in ~/.claude/projects/<encoded-path>/<sessionId>.jsonl
+ * Looks in ~/.claude/projects/<encoded-path>/<sessionId>.jsonl, then in the
+ * transcript index (for sessions that moved directory, symlinked homes, ...).
  * @param {string} sessionId - The session UUID.
  * @param {string} cwd - The working directory of the session.
  * @returns {string|null} Path to the transcript file, or null if not found.
@@ -35,114 +47,484 @@ function findTranscriptFile(sessionId, cwd) {
     if (fs.existsSync(candidate)) return candidate;
   }
 
-  // Fallback: scan all project directories for the session file
-  try {
-    const dirs = fs.readdirSync(CLAUDE_PROJECTS_DIR);
-    for (const dir of dirs) {
-      const candidate = path.join(CLAUDE_PROJECTS_DIR, dir, `${sessionId}.jsonl`);
-      if (fs.existsSync(candidate)) return candidate;
+  // Fallback: the index, built on first use and kept current by TranscriptWatcher
+  return lookupTranscript(sessionId);
+}
+
+/**
+ * Normalize the `usage` block of an assistant transcript entry.
+ * @param {object} usage - message.usage as written by Claude Code.
+ * @returns {{input: number, output: number, cacheRead: number, cacheWrite: number}|null}
+ *   null when the block is missing or counts no tokens.
+ */
+function parseUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  const n = (v) => (typeof v === 'number' && v > 0 ? v : 0);
+  const parsed = {
+    input: n(usage.input_tokens),
+    output: n(usage.output_tokens),
+    cacheRead: n(usage.cache_read_input_tokens),
+    cacheWrite: n(usage.cache_creation_input_tokens),
+  };
+  // Synthetic entries (e.g. interrupted turns) carry an all-zero usage block
+  return parsed.input || parsed.output || parsed.cacheRead || parsed.cacheWrite ? parsed : null;
+}
+
+/**
+ * Clip text to a maximum length, marking the cut with "...".
+ * @param {number} max - 0 (or less) keeps the text whole.
+ */
+function clipText(text, max) {
+  if (!(max > 0) || text.length <= max) return text;
+  return text.slice(0, Math.max(0, max - 3)) + '...';
+}
+
+/**
+ * Turn one transcript line into typed entries, in content block order:
+ *   { type: 'user', text, ts }
+ *   { type: 'assistant', text, ts, model?, usage? }  model/usage of the API call
+ *   { type: 'thinking', text, ts }
+ *   { type: 'tool_use', id, name, input, ts }
+ *   { type: 'tool_result', toolUseId, text, isError, ts }
+ * Adjacent text blocks are joined. Sidechain (sub-agent) lines belong to their
+ * Task call, not the main conversation, and give nothing.
+ * @param {object} obj - A parsed transcript line.
+ * @returns {Array<object>}
+ */
+function parseTranscriptEntry(obj) {
+  if (!obj || (obj.type !== 'user' && obj.type !== 'assistant') || obj.isSidechain) return [];
+  const msg = obj.message;
+  if (!msg) return [];
+
+  const role = msg.role === 'assistant' ? 'assistant' : 'user';
+  const ts = obj.timestamp ? new Date(obj.timestamp).getTime() : 0;
+
+  if (typeof msg.content === 'string') {
+    const text = msg.content.trim();
+    return text ? [{ type: role, text, ts }] : [];
+  }
+  if (!Array.isArray(msg.content)) return [];
+
+  const usage = role === 'assistant' ? parseUsage(msg.usage) : null;
+  const entries = [];
+  let texts = [];
+  const flushText = () => {
+    if (texts.length === 0) return;
+    const entry = { type: role, text: texts.join('\n\n'), ts };
+    entries.push(usage ? { ...entry, model: msg.model || 'unknown', usage } : entry);
+    texts = [];
+  };
+
+  for (const b of msg.content) {
+    if (!b) continue;
+    if (b.type === 'text') {
+      if (b.text && b.text.trim()) texts.push(b.text.trim());
+      continue;
+    }
+    flushText();
+    if (b.type === 'thinking' && b.thinking && b.thinking.trim()) {
+      entries.push({ type: 'thinking', text: b.thinking.trim(), ts });
+    } else if (b.type === 'tool_use') {
+      const input = b.input && typeof b.input === 'object' ? b.input : {};
+      entries.push({ type: 'tool_use', id: b.id || '', name: b.name || 'unknown', input, ts });
+    } else if (b.type === 'tool_result') {
+      entries.push({
+        type: 'tool_result',
+        toolUseId: b.tool_use_id || '',
+        text: toolResultText(b.content),
+        isError: !!b.is_error,
+        ts,
+      });
     }
-  } catch {
-    // Projects dir may not exist
   }
+  flushText();
+  return entries;
+}
 
-  return null;
+/**
+ * Parse a transcript file into typed entries (see parseTranscriptEntry), oldest first.
+ * @param {string} filePath - Path to the JSONL transcript.
+ * @param {{thinking?: boolean, maxResultLength?: number}} [options]
+ *   thinking keeps thinking blocks; maxResultLength clips tool result text (0: full).
+ * @returns {Array<object>}
+ */
+function parseTranscript(filePath, options) {
+  const opts = options || {};
+  const entries = [];
+  for (const obj of readJsonl(filePath)) {
+    for (const entry of parseTranscriptEntry(obj)) {
+      if (entry.type === 'thinking' && !opts.thinking) continue;
+      if (entry.type === 'tool_result') entry.text = clipText(entry.text, opts.maxResultLength);
+      entries.push(entry);
+    }
+  }
+  return entries;
 }
 
 /**
  * Extract user/assistant messages from a Claude Code transcript file.
+ * Assistant messages carry the model and token usage of the API call that
+ * produced them.
  * @param {string} filePath - Path to the JSONL transcript.
- * @param {number} max - Maximum number of recent messages to return.
- * @returns {Array<{role: string, text: string, ts: number}>}
+ * @param {number} [max] - Keep the most recent N messages (default 20, 0: all).
+ * @param {number} [maxTextLength] - Clip each message (default 300, 0: full text).
+ * @returns {Array<{role: string, text: string, ts: number, model?: string, usage?: object}>}
  */
-function extractMessages(filePath, max) {
-  const limit = max || 20;
+function extractMessages(filePath, max, maxTextLength) {
+  const limit = max != null ? max : 20;
+  const textMax = maxTextLength != null ? maxTextLength : 300;
+  const messages = [];
+
+  for (const obj of readJsonl(filePath)) {
+    for (const e of parseTranscriptEntry(obj)) {
+      if (e.type !== 'user' && e.type !== 'assistant') continue;
+      const m = { role: e.type, text: clipText(e.text, textMax), ts: e.ts };
+      messages.push(e.usage ? { ...m, model: e.model, usage: e.usage } : m);
+    }
+  }
+
+  return limit > 0 ? messages.slice(-limit) : messages;
+}
 
+/**
+ * Load conversation for a session, with mtime-based caching. Text is masked
+ * the same way the hooks mask prompts, once per load rather than per rebuild.
+ * @param {string} sessionId - The session UUID.
+ * @param {string} cwd - The working directory.
+ * @param {{maxMessages?: number, maxTextLength?: number}} [options] - config.transcript
+ * @returns {Array<{role: string, text: string, ts: number, redacted: boolean}>}
+ */
+function loadConversation(sessionId, cwd, options) {
+  const filePath = findTranscriptFile(sessionId, cwd);
+  if (!filePath) return [];
+
+  const opts = options || {};
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split('\n').filter((l) => l.trim());
-    const messages = [];
+    const mtime = fs.statSync(filePath).mtimeMs;
+    const key = `${mtime}:${opts.maxMessages}:${opts.maxTextLength}`;
 
-    for (const line of lines) {
-      try {
-        const obj = JSON.parse(line);
-        const type = obj.type;
-
-        if (type !== 'user' && type !== 'assistant') continue;
-
-        const msg = obj.message;
-        if (!msg) continue;
-
-        const role = msg.role;
-        const ts = obj.timestamp ? new Date(obj.timestamp).getTime() : 0;
-
-        // Extract text content
-        let text = '';
-        if (typeof msg.content === 'string') {
-          text = msg.content;
-        } else if (Array.isArray(msg.content)) {
-          // Assistant messages have content as array of {type, text/thinking/tool_use}
-          const textParts = msg.content
-            .filter((c) => c.type === 'text' && c.text && c.text.trim())
-            .map((c) => c.text.trim());
-          text = textParts.join(' ');
-        }
+    // Return cached if file and options haven't changed
+    const redactors = loadRedactors();
+    const cached = _cache[sessionId];
+    if (cached && cached.key === key && cached.redactors === redactors) {
+      return cached.messages;
+    }
 
-        // Skip empty messages, tool results, and pure tool_use messages
-        if (!text) continue;
+    const messages = extractMessages(filePath, opts.maxMessages, opts.maxTextLength).map((m) => {
+      const masked = redactText(m.text);
+      return { ...m, text: masked.text, redacted: masked.redacted };
+    });
+    _cache[sessionId] = { messages, key, redactors };
+    return messages;
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Load a session's full structured transcript, cached on size and mtime.
+ * Only read when something asks for the whole conversation (export, replay,
+ * /api/timeline), never on dashboard refresh.
+ * @param {string} sessionId - The session UUID.
+ * @param {string} cwd - The working directory.
+ * @param {{thinking?: boolean, maxResultLength?: number}} [options] - config.transcript
+ * @returns {Array<object>} See parseTranscript(); empty without a transcript.
+ */
+function loadTranscript(sessionId, cwd, options) {
+  const filePath = findTranscriptFile(sessionId, cwd);
+  if (!filePath) return [];
+
+  const opts = options || {};
+  try {
+    const stat = fs.statSync(filePath);
+    const key = `${stat.size}:${stat.mtimeMs}:${!!opts.thinking}:${opts.maxResultLength}`;
+
+    const cached = _transcriptCache[sessionId];
+    if (cached && cached.key === key) {
+      return cached.entries;
+    }
+
+    const entries = parseTranscript(filePath, opts);
+    _transcriptCache[sessionId] = { entries, key };
+    return entries;
+  } catch {
+    return [];
+  }
+}
 
-        // For user messages that are tool_results, skip them
-        if (typeof msg.content === 'object' && !Array.isArray(msg.content) && msg.content.type === 'tool_result') {
-          continue;
+/**
+ * Read a JSONL file into an array of objects, skipping malformed lines.
+ */
+function readJsonl(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter((l) => l.trim())
+      .map((l) => {
+        try {
+          return JSON.parse(l);
+        } catch {
+          return null;
         }
-        if (Array.isArray(msg.content) && msg.content.length > 0 && msg.content[0].type === 'tool_result') {
-          continue;
+      })
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Flatten a tool_result content value (string or array of text blocks) to text.
+ */
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter((c) => c && c.type === 'text' && c.text)
+      .map((c) => c.text)
+      .join(' ');
+  }
+  return '';
+}
+
+/**
+ * List sub-agent transcript files written next to a session transcript.
+ * Newer Claude Code versions store each sidechain in
+ * <project>/<sessionId>/subagents/*.jsonl instead of inline.
+ */
+function findSubagentFiles(transcriptFile, sessionId) {
+  const dir = path.join(path.dirname(transcriptFile), sessionId, 'subagents');
+  try {
+    return fs.readdirSync(dir)
+      .filter((f) => f.endsWith('.jsonl'))
+      .map((f) => path.join(dir, f));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Extract sub-agent runs from a session transcript.
+ * Each Task call in the main chain is linked to its sidechain (the sub-agent's
+ * own turns) by agentId when the result carries one, otherwise by matching the
+ * sidechain's opening prompt to the Task input. The tool_result gives the end
+ * time, error flag and, when present, Claude Code's own duration/tool counts.
+ * @param {string} filePath - Path to the session transcript.
+ * @param {Array<string>} extraFiles - Additional sidechain transcript files.
+ * @returns {Array<object>} Sub-agent records in call order.
+ */
+function extractSubagents(filePath, extraFiles) {
+  const entries = [filePath, ...(extraFiles || [])].flatMap(readJsonl);
+
+  const calls = new Map();  // toolUseId -> call record
+  const chains = new Map(); // chain key -> { agentId, prompt, tools, lastTs }
+  const chainOf = new Map(); // entry uuid -> chain key
+
+  for (const e of entries) {
+    const msg = e.message;
+    if (!msg) continue;
+    const ts = e.timestamp ? new Date(e.timestamp).getTime() : 0;
+    const blocks = Array.isArray(msg.content) ? msg.content : [];
+
+    if (!e.isSidechain) {
+      for (const b of blocks) {
+        if (b.type === 'tool_use' && SUBAGENT_TOOLS.has(b.name)) {
+          const input = b.input || {};
+          calls.set(b.id, {
+            toolUseId: b.id,
+            description: input.description || '',
+            subagentType: input.subagent_type || '',
+            prompt: input.prompt || '',
+            startedAt: ts,
+            endedAt: null,
+            isError: false,
+            resultBrief: '',
+            reportedDurationMs: null,
+            reportedToolCount: null,
+            agentId: '',
+            chain: null,
+          });
+        } else if (b.type === 'tool_result' && calls.has(b.tool_use_id)) {
+          const call = calls.get(b.tool_use_id);
+          const meta = e.toolUseResult && typeof e.toolUseResult === 'object' ? e.toolUseResult : {};
+          call.endedAt = ts;
+          call.isError = !!b.is_error;
+          call.resultBrief = briefResult(toolResultText(b.content));
+          if (typeof meta.totalDurationMs === 'number') call.reportedDurationMs = meta.totalDurationMs;
+          if (typeof meta.totalToolUseCount === 'number') call.reportedToolCount = meta.totalToolUseCount;
+          if (meta.agentId) call.agentId = meta.agentId;
         }
+      }
+      continue;
+    }
+
+    // Sidechain entry: attach to its chain (by agentId, or via parentUuid to the root)
+    const key = e.agentId || (e.parentUuid && chainOf.get(e.parentUuid)) || e.uuid;
+    if (e.uuid) chainOf.set(e.uuid, key);
+    if (!chains.has(key)) {
+      chains.set(key, { agentId: e.agentId || '', prompt: '', tools: [], lastTs: ts });
+    }
+    const chain = chains.get(key);
+    chain.lastTs = Math.max(chain.lastTs, ts);
 
-        // Truncate very long messages
-        if (text.length > 300) {
-          text = text.slice(0, 297) + '...';
+    if (!chain.prompt && e.type === 'user') {
+      chain.prompt = typeof msg.content === 'string' ? msg.content : toolResultText(msg.content);
+    }
+    if (e.type === 'assistant') {
+      for (const b of blocks) {
+        if (b.type === 'tool_use') {
+          chain.tools.push({ toolName: b.name, toolSummary: summarizeTool(b.name, b.input), ts });
         }
+      }
+    }
+  }
+
+  // Link each sidechain to the Task call that spawned it
+  const callList = [...calls.values()];
+  for (const chain of chains.values()) {
+    const call =
+      (chain.agentId && callList.find((c) => c.agentId === chain.agentId)) ||
+      callList.find((c) => !c.chain && c.prompt && c.prompt.trim() === chain.prompt.trim());
+    if (call) call.chain = chain;
+  }
+
+  return callList.map((c) => {
+    const tools = c.chain ? c.chain.tools : [];
+    let status = 'running';
+    if (c.endedAt) status = c.isError ? 'error' : 'done';
+    return {
+      toolUseId: c.toolUseId,
+      description: c.description,
+      subagentType: c.subagentType,
+      status,
+      startedAt: c.startedAt,
+      endedAt: c.endedAt,
+      durationMs: c.reportedDurationMs != null
+        ? c.reportedDurationMs
+        : (c.endedAt ? c.endedAt - c.startedAt : null),
+      resultBrief: c.resultBrief,
+      toolCount: c.reportedToolCount != null ? c.reportedToolCount : tools.length,
+      recentTools: tools.slice(-5).reverse(),
+      lastActivityAt: c.chain ? c.chain.lastTs : (c.endedAt || c.startedAt),
+    };
+  });
+}
 
-        messages.push({ role, text, ts });
+/**
+ * Cache key for a set of files: their paths and mtimes.
+ */
+function fileSignature(files) {
+  return files
+    .map((f) => {
+      try {
+        return `${f}:${fs.statSync(f).mtimeMs}`;
       } catch {
-        // Skip malformed lines
+        return `${f}:-`;
       }
-    }
+    })
+    .join('|');
+}
 
-    // Return the most recent N messages
-    return messages.slice(-limit);
-  } catch {
-    return [];
+/**
+ * Sum token usage per model across transcript files, sub-agent sidechains
+ * included. Claude Code writes one entry per content block, each repeating the
+ * usage of the same API message, so entries are de-duplicated by message id
+ * (the last one wins — it has the final output count).
+ * @param {Array<string>} files - Transcript files to scan.
+ * @returns {Object<string, {input, output, cacheRead, cacheWrite, messages}>} model -> totals
+ */
+function extractUsage(files) {
+  const perMessage = new Map(); // message id (or entry uuid) -> { model, usage }
+
+  for (const e of files.flatMap(readJsonl)) {
+    if (e.type !== 'assistant' || !e.message) continue;
+    const usage = parseUsage(e.message.usage);
+    if (!usage) continue;
+    const key = e.message.id || e.requestId || e.uuid;
+    perMessage.set(key, { model: e.message.model || 'unknown', usage });
+  }
+
+  const byModel = {};
+  for (const { model, usage } of perMessage.values()) {
+    if (!byModel[model]) byModel[model] = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, messages: 0 };
+    const m = byModel[model];
+    m.input += usage.input;
+    m.output += usage.output;
+    m.cacheRead += usage.cacheRead;
+    m.cacheWrite += usage.cacheWrite;
+    m.messages += 1;
   }
+  return byModel;
 }
 
 /**
- * Load conversation for a session, with mtime-based caching.
+ * Load per-model token usage for a session, cached on transcript mtimes.
  * @param {string} sessionId - The session UUID.
  * @param {string} cwd - The working directory.
- * @returns {Array<{role: string, text: string, ts: number}>}
+ * @param {Array<string>} [extraFiles] - Sidechain files reported by SubagentStop hooks.
+ * @returns {Object<string, object>} See extractUsage(); empty without a transcript.
  */
-function loadConversation(sessionId, cwd) {
+function loadUsage(sessionId, cwd, extraFiles) {
+  const filePath = findTranscriptFile(sessionId, cwd);
+  if (!filePath) return {};
+
+  const files = [...new Set([filePath, ...findSubagentFiles(filePath, sessionId), ...(extraFiles || [])])]
+    .filter((f) => fs.existsSync(f));
+  const signature = fileSignature(files);
+
+  const cached = _usageCache[sessionId];
+  if (cached && cached.signature === signature) {
+    return cached.usage;
+  }
+
+  const usage = extractUsage(files);
+  _usageCache[sessionId] = { usage, signature };
+  return usage;
+}
+
+/**
+ * Load sub-agent runs for a session, cached on the mtimes of all involved files.
+ * @param {string} sessionId - The session UUID.
+ * @param {string} cwd - The working directory.
+ * @param {Array<string>} [extraFiles] - Sidechain files reported by SubagentStop hooks.
+ * @returns {Array<object>} See extractSubagents().
+ */
+function loadSubagents(sessionId, cwd, extraFiles) {
   const filePath = findTranscriptFile(sessionId, cwd);
   if (!filePath) return [];
 
+  const files = [...new Set([...findSubagentFiles(filePath, sessionId), ...(extraFiles || [])])]
+    .filter((f) => f !== filePath);
+
   try {
-    const stat = fs.statSync(filePath);
-    const mtime = stat.mtimeMs;
+    const signature = fileSignature([filePath, ...files]);
 
-    // Return cached if file hasn't changed
-    const cached = _cache[sessionId];
-    if (cached && cached.mtime === mtime) {
-      return cached.messages;
+    const cached = _subagentCache[sessionId];
+    if (cached && cached.signature === signature) {
+      return cached.subagents;
     }
 
-    const messages = extractMessages(filePath, 20);
-    _cache[sessionId] = { messages, mtime };
-    return messages;
+    const subagents = extractSubagents(filePath, files.filter((f) => fs.existsSync(f)));
+    _subagentCache[sessionId] = { subagents, signature };
+    return subagents;
   } catch {
     return [];
   }
 }
 
-module.exports = { encodeProjectPath, findTranscriptFile, extractMessages, loadConversation };
+module.exports = {
+  encodeProjectPath,
+  findTranscriptFile,
+  parseTranscriptEntry,
+  parseTranscript,
+  extractMessages,
+  loadConversation,
+  loadTranscript,
+  extractSubagents,
+  loadSubagents,
+  parseUsage,
+  extractUsage,
+  loadUsage,
+  SUBAGENT_TOOLS,
+  CLAUDE_PROJECTS_DIR,
+};
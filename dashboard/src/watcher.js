@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { EventEmitter } = require('events');
+const { noteTranscript, setWatching, CLAUDE_PROJECTS_DIR } = require('./transcript-index');
 
 const STATE_DIR = path.join(os.homedir(), '.claude', 'agent-monitor', 'sessions');
 const DEBOUNCE_MS = 300;
@@ -113,4 +114,111 @@ class SessionWatcher extends EventEmitter {
   }
 }
 
-module.exports = { SessionWatcher };
+/**
+ * TranscriptWatcher — watches ~/.claude/projects for transcript writes. It
+ * keeps the transcript index current and emits 'change' (sessionIds) so the
+ * dashboards pick up new assistant messages without waiting for a hook event.
+ * Uses a recursive fs.watch where the platform has one, otherwise one watcher
+ * per project directory (sub-agent files are then only seen on the next tick).
+ */
+class TranscriptWatcher extends EventEmitter {
+  constructor() {
+    super();
+    this._watchers = new Map(); // directory -> fs.FSWatcher
+    this._recursive = false;
+    this._debounceTimer = null;
+    this._pending = new Set();
+  }
+
+  /**
+   * Start watching. Does nothing when Claude Code has no projects directory yet.
+   */
+  start() {
+    if (!fs.existsSync(CLAUDE_PROJECTS_DIR)) return;
+
+    try {
+      this._watch(CLAUDE_PROJECTS_DIR, true);
+      this._recursive = true;
+    } catch {
+      // Recursive watching is unavailable (Linux before Node 20)
+      try {
+        this._watch(CLAUDE_PROJECTS_DIR, false);
+        for (const dir of fs.readdirSync(CLAUDE_PROJECTS_DIR)) {
+          this._watchProject(path.join(CLAUDE_PROJECTS_DIR, dir));
+        }
+      } catch {
+        // Fall back to the index's periodic rescans
+      }
+    }
+    setWatching(this._watchers.size > 0);
+  }
+
+  /**
+   * Stop watching.
+   */
+  stop() {
+    for (const w of this._watchers.values()) w.close();
+    this._watchers.clear();
+    setWatching(false);
+    if (this._debounceTimer) {
+      clearTimeout(this._debounceTimer);
+      this._debounceTimer = null;
+    }
+  }
+
+  _watch(dir, recursive) {
+    const w = fs.watch(dir, { recursive }, (type, filename) => {
+      if (filename) this._onFile(path.join(dir, filename.toString()));
+    });
+    w.on('error', () => {
+      w.close();
+      this._watchers.delete(dir);
+      if (this._watchers.size === 0) setWatching(false);
+    });
+    this._watchers.set(dir, w);
+  }
+
+  _watchProject(dir) {
+    if (this._watchers.has(dir)) return;
+    try {
+      if (fs.statSync(dir).isDirectory()) this._watch(dir, false);
+    } catch {
+      // Removed, or not a directory
+    }
+  }
+
+  /**
+   * Index new transcripts and queue the session a changed file belongs to:
+   * <project>/<sessionId>.jsonl or <project>/<sessionId>/subagents/*.jsonl.
+   */
+  _onFile(filePath) {
+    const rel = path.relative(CLAUDE_PROJECTS_DIR, filePath).split(path.sep);
+    if (!this._recursive && rel.length === 1) {
+      this._watchProject(filePath);
+      return;
+    }
+    if (!filePath.endsWith('.jsonl') || rel.length < 2) return;
+
+    const sessionId = noteTranscript(filePath) || (rel.length > 2 ? rel[1] : null);
+    if (!sessionId) return;
+    this._pending.add(sessionId);
+    this._debouncedEmit();
+  }
+
+  /**
+   * Debounce change emissions to avoid excessive re-renders.
+   */
+  _debouncedEmit() {
+    if (this._debounceTimer) {
+      clearTimeout(this._debounceTimer);
+    }
+    this._debounceTimer = setTimeout(() => {
+      this._debounceTimer = null;
+      const sessionIds = [...this._pending];
+      this._pending.clear();
+      this.emit('change', sessionIds);
+    }, DEBOUNCE_MS);
+  }
+}
+
+module.exports = { SessionWatcher, TranscriptWatcher };
@@ -171,9 +171,12 @@ main {
 }
 .session-card:hover { border-color: var(--text-muted); }
 .session-card.status-active { border-left: 3px solid var(--green); }
+.session-card.status-waiting { border-left: 3px solid var(--orange); }
+.session-card.status-paused { border-left: 3px solid var(--purple); }
 .session-card.status-idle { border-left: 3px solid var(--yellow); }
 .session-card.status-stale { border-left: 3px solid var(--text-muted); }
 .session-card.status-ended { border-left: 3px solid var(--red); opacity: 0.6; }
+.session-card.status-crashed { border-left: 3px dashed var(--red); opacity: 0.8; }
 
 .card-header {
   display: flex;
@@ -188,9 +191,12 @@ main {
   flex-shrink: 0;
 }
 .status-dot.active { background: var(--green); box-shadow: 0 0 6px var(--green); }
+.status-dot.waiting { background: var(--orange); border-radius: 2px; transform: rotate(45deg); box-shadow: 0 0 6px var(--orange); }
+.status-dot.paused { background: none; border-radius: 0; width: 10px; border-left: 3px solid var(--purple); border-right: 3px solid var(--purple); }
 .status-dot.idle { background: var(--yellow); }
 .status-dot.stale { background: var(--text-muted); }
 .status-dot.ended { background: var(--red); }
+.status-dot.crashed { background: var(--red); border-radius: 2px; box-shadow: 0 0 6px var(--red); }
 .status-dot.unknown { background: var(--text-muted); }
 
 .agent-name {
@@ -218,6 +224,15 @@ main {
   white-space: nowrap;
   max-width: 300px;
 }
+.agent-branch {
+  font-family: var(--font-mono);
+  font-size: 0.75rem;
+  color: var(--purple);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  max-width: 160px;
+}
 .agent-elapsed {
   font-family: var(--font-mono);
   font-size: 0.75rem;
@@ -238,6 +253,171 @@ main {
   line-height: 1.4;
 }
 
+/* Permission prompt banner */
+.paused-line {
+  font-family: var(--font-mono);
+  font-size: 0.8rem;
+  font-weight: 600;
+  color: var(--purple);
+  background: rgba(188, 140, 255, 0.08);
+  padding: 6px 16px;
+  border-bottom: 1px solid var(--border);
+}
+.crashed-line {
+  font-family: var(--font-mono);
+  font-size: 0.8rem;
+  font-weight: 600;
+  color: var(--red);
+  background: rgba(248, 81, 73, 0.08);
+  padding: 6px 16px;
+  border-bottom: 1px solid var(--border);
+}
+.pause-btn {
+  font-family: var(--font-mono);
+  font-size: 0.7rem;
+  color: var(--text-dim);
+  background: var(--bar-bg);
+  border: 1px solid var(--border);
+  border-radius: 4px;
+  padding: 1px 8px;
+  cursor: pointer;
+}
+.pause-btn:hover { color: var(--text); border-color: var(--text-muted); }
+.pause-btn.resume { color: var(--purple); border-color: var(--purple); }
+.waiting-line {
+  font-family: var(--font-mono);
+  font-size: 0.8rem;
+  font-weight: 600;
+  color: var(--orange);
+  background: rgba(219, 109, 40, 0.08);
+  padding: 6px 16px;
+  border-bottom: 1px solid var(--border);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+/* In-flight tool calls */
+.running-line {
+  font-family: var(--font-mono);
+  font-size: 0.8rem;
+  color: var(--green);
+  padding: 6px 16px;
+  border-bottom: 1px solid var(--border);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+.running-elapsed { color: var(--text-muted); }
+.timeline-duration {
+  font-family: var(--font-mono);
+  font-size: 0.7rem;
+  color: var(--text-muted);
+  white-space: nowrap;
+}
+
+/* TodoWrite plan */
+.plan-block {
+  padding: 8px 16px;
+  border-bottom: 1px solid var(--border);
+  font-size: 0.75rem;
+}
+.plan-head { display: flex; align-items: center; gap: 8px; min-width: 0; }
+.plan-progress {
+  width: 90px;
+  height: 6px;
+  border-radius: 3px;
+  background: var(--bar-bg);
+  overflow: hidden;
+  flex-shrink: 0;
+}
+.plan-progress-fill { height: 100%; background: var(--green); }
+.plan-count { font-family: var(--font-mono); color: var(--text-dim); flex-shrink: 0; }
+.plan-current {
+  color: var(--yellow);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  min-width: 0;
+}
+.plan-list { list-style: none; margin: 6px 0 0; padding: 0; }
+.plan-item {
+  display: flex;
+  gap: 6px;
+  padding: 1px 0;
+  color: var(--text);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+.plan-item .plan-icon { width: 12px; text-align: center; flex-shrink: 0; }
+.plan-item.completed { color: var(--text-muted); text-decoration: line-through; }
+.plan-item.completed .plan-icon { color: var(--green); text-decoration: none; }
+.plan-item.in_progress .plan-icon { color: var(--yellow); }
+.plan-item.pending .plan-icon { color: var(--text-muted); }
+.plan-more { color: var(--text-muted); padding-left: 18px; }
+
+/* Sub-agent tree */
+.subagent-tree {
+  list-style: none;
+  margin: 0;
+  padding: 8px 16px 10px;
+  border-top: 1px solid var(--border);
+  font-family: var(--font-mono);
+  font-size: 0.75rem;
+}
+.subagent-node {
+  position: relative;
+  padding: 3px 0 3px 18px;
+  border-left: 1px solid var(--border);
+}
+.subagent-node:last-child { border-left-color: transparent; }
+.subagent-node::before {
+  content: '';
+  position: absolute;
+  left: -1px;
+  top: 0;
+  width: 12px;
+  height: 11px;
+  border-left: 1px solid var(--border);
+  border-bottom: 1px solid var(--border);
+}
+.subagent-row {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  min-width: 0;
+}
+.subagent-status { width: 12px; text-align: center; flex-shrink: 0; }
+.subagent-status.running { color: var(--green); }
+.subagent-status.done { color: var(--text-muted); }
+.subagent-status.error { color: var(--red); }
+.subagent-status.interrupted { color: var(--yellow); }
+.subagent-type {
+  padding: 0 5px;
+  border-radius: 3px;
+  background: rgba(188, 140, 255, 0.12);
+  color: var(--purple);
+  flex-shrink: 0;
+}
+.subagent-desc {
+  color: var(--text);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  flex: 1;
+  min-width: 0;
+}
+.subagent-meta { color: var(--text-muted); white-space: nowrap; flex-shrink: 0; }
+.subagent-more { color: var(--text-muted); }
+.subagent-detail {
+  color: var(--text-dim);
+  padding-left: 18px;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
 /* Card body */
 .card-body { padding: 12px 16px; }
 
@@ -366,6 +546,33 @@ main {
 .timeline-item.msg-item { border-left-color: var(--purple); }
 .timeline-item.msg-user { border-left-color: #d2a8ff; }
 .timeline-item.msg-assistant { border-left-color: var(--cyan); }
+
+/* Failed tool calls */
+.timeline-item.tool-error { border-left-color: var(--red); }
+.timeline-error-mark { color: var(--red); font-weight: 700; flex-shrink: 0; }
+.timeline-error-msg {
+  font-family: var(--font-mono);
+  font-size: 0.7rem;
+  color: var(--red);
+  white-space: nowrap;
+}
+.stat-item.stat-error .stat-value { color: var(--red); }
+.stat-item.stat-cost .stat-value { color: var(--yellow); }
+.stat-item.stat-churn .churn-add { color: var(--green); }
+.stat-item.stat-churn .churn-del { color: var(--red); }
+.stat-item.stat-churn .churn-files { color: var(--text-muted); }
+
+/* Secrets masked by the redaction layer */
+.redacted-mark { color: var(--yellow); font-size: 0.7rem; flex-shrink: 0; cursor: help; }
+
+/* Context compaction divider */
+.timeline-item.compact-item {
+  border-left-color: var(--yellow);
+  color: var(--yellow);
+  font-family: var(--font-mono);
+  font-size: 0.7rem;
+}
+.compact-rule { flex: 1; border-top: 1px dashed var(--yellow); opacity: 0.6; }
 .timeline-msg-text {
   font-size: 0.75rem;
   color: var(--text-dim);
@@ -444,6 +651,7 @@ main {
   50% { opacity: 0.5; }
 }
 .status-dot.active { animation: pulse 2s ease-in-out infinite; }
+.status-dot.waiting { animation: pulse 1s ease-in-out infinite; }
 `;
 }
 
@@ -507,6 +715,56 @@ function formatDuration(startMs) {
   return s + 's';
 }
 
+/**
+ * Tooltip for the Active stat: what the rest of the wall time went to.
+ */
+function activityTitle(activity) {
+  return 'Working on a prompt' +
+    (activity.waitingMs > 0 ? ', plus ' + formatToolDuration(activity.waitingMs) + ' waiting for permission' : '');
+}
+
+/**
+ * Tooltip for the Turns stat: average and longest turn.
+ */
+function turnsTitle(activity) {
+  const done = activity.turns.filter((t) => t.endedAt != null);
+  if (done.length === 0) return 'First turn in progress';
+  const total = done.reduce((sum, t) => sum + t.durationMs, 0);
+  const longest = Math.max(...done.map((t) => t.durationMs));
+  return 'avg ' + formatToolDuration(total / done.length) + ', longest ' + formatToolDuration(longest);
+}
+
+/**
+ * Format a measured duration in ms as "45s", "2m13s" or "1h05m".
+ */
+function formatToolDuration(ms) {
+  const s = Math.floor(Math.max(0, ms) / 1000);
+  if (s < 60) return s + 's';
+  const m = Math.floor(s / 60);
+  if (m < 60) return m + 'm' + String(s % 60).padStart(2, '0') + 's';
+  const h = Math.floor(m / 60);
+  return h + 'h' + String(m % 60).padStart(2, '0') + 'm';
+}
+
+/**
+ * Format a token count as "812", "45.3k" or "1.2M".
+ */
+function formatTokens(n) {
+  if (!n) return '0';
+  if (n >= 1e6) return (n / 1e6).toFixed(1) + 'M';
+  if (n >= 1e3) return (n / 1e3).toFixed(1) + 'k';
+  return String(n);
+}
+
+/**
+ * Format an estimated cost in USD ("$3.41", "<$0.01").
+ */
+function formatCost(usd) {
+  if (!usd) return '$0.00';
+  if (usd < 0.01) return '<$0.01';
+  return '$' + usd.toFixed(2);
+}
+
 /**
  * Format absolute time (HH:MM:SS).
  */
@@ -516,12 +774,13 @@ function formatTime(ms) {
 }
 
 /**
- * Get project name from cwd.
+ * Get project name from the git root, falling back to cwd.
  */
-function projectName(cwd) {
-  if (!cwd) return '';
-  const parts = cwd.split('/');
-  return parts[parts.length - 1] || cwd;
+function projectName(session) {
+  const dir = (session.git && session.git.root) || session.cwd;
+  if (!dir) return '';
+  const parts = dir.split('/');
+  return parts[parts.length - 1] || dir;
 }
 
 /**
@@ -541,7 +800,80 @@ function toolDistribution(tools) {
  */
 function esc(str) {
   if (!str) return '';
-  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const PLAN_ICONS = { completed: '&#x2713;', in_progress: '&#x25B6;', pending: '&#x25CB;' };
+const PLAN_MAX_ITEMS = 10;
+
+/**
+ * Render the session's TodoWrite plan: progress bar, current item, checklist.
+ */
+function renderPlan(plan) {
+  if (!plan || !plan.total) return '';
+
+  const pct = (plan.completed / plan.total * 100).toFixed(0);
+  const current = plan.current
+    ? (plan.current.activeForm || plan.current.content)
+    : (plan.completed === plan.total ? 'all done' : '');
+  const items = plan.todos.slice(0, PLAN_MAX_ITEMS).map((t) =>
+    '<li class="plan-item ' + esc(t.status) + '" title="' + esc(t.content) + '">' +
+      '<span class="plan-icon">' + (PLAN_ICONS[t.status] || PLAN_ICONS.pending) + '</span>' +
+      esc(t.content) +
+    '</li>'
+  ).join('');
+  const more = plan.todos.length > PLAN_MAX_ITEMS
+    ? '<li class="plan-more">+' + (plan.todos.length - PLAN_MAX_ITEMS) + ' more</li>'
+    : '';
+
+  return '<div class="plan-block">' +
+    '<div class="plan-head">' +
+      '<div class="plan-progress"><div class="plan-progress-fill" style="width:' + pct + '%"></div></div>' +
+      '<span class="plan-count">' + plan.completed + '/' + plan.total + ' done</span>' +
+      (current ? '<span class="plan-current" title="' + esc(current) + '">&#x25B6; ' + esc(current) + '</span>' : '') +
+    '</div>' +
+    '<ul class="plan-list">' + items + more + '</ul>' +
+  '</div>';
+}
+
+const REDACTED_MARK = '<span class="redacted-mark" title="Secrets masked before capture">&#x1F512;</span>';
+
+const SUBAGENT_ICONS = { running: '&#x25CF;', done: '&#x2713;', error: '&#x2715;', interrupted: '&#x25CB;' };
+
+/**
+ * Render a session's sub-agents as a nested tree under its card.
+ */
+function renderSubagentTree(session) {
+  const subagents = session.subagents || [];
+  if (subagents.length === 0) return '';
+
+  const nodes = subagents.map((a) => {
+    const duration = a.status === 'running'
+      ? formatToolDuration(Date.now() - a.startedAt)
+      : (a.durationMs != null ? formatToolDuration(a.durationMs) : '');
+    const latest = (a.recentTools || [])[0];
+    const detail = a.status === 'running'
+      ? (latest ? latest.toolName + ' ' + (latest.toolSummary || '') : '')
+      : (a.resultBrief || '');
+    const recentTitle = (a.recentTools || []).map((t) => t.toolName + ' ' + (t.toolSummary || '')).join(', ');
+
+    return '<li class="subagent-node" title="' + esc(recentTitle) + '">' +
+      '<div class="subagent-row">' +
+        '<span class="subagent-status ' + esc(a.status) + '">' + (SUBAGENT_ICONS[a.status] || SUBAGENT_ICONS.running) + '</span>' +
+        (a.subagentType ? '<span class="subagent-type">' + esc(a.subagentType) + '</span>' : '') +
+        '<span class="subagent-desc">' + esc(a.description || 'sub-agent') + '</span>' +
+        '<span class="subagent-meta">' + (a.toolCount || 0) + ' tools' + (duration ? ' &middot; ' + duration : '') + '</span>' +
+      '</div>' +
+      (detail ? '<div class="subagent-detail">&#x2192; ' + esc(detail) + '</div>' : '') +
+    '</li>';
+  }).join('');
+  // Only running and recent sub-agents are sent; the rest are counted
+  const hidden = (session.subagentCount || 0) - subagents.length;
+  const more = hidden > 0
+    ? '<li class="subagent-node subagent-more">+' + hidden + ' more sub-agent' + (hidden === 1 ? '' : 's') + '</li>'
+    : '';
+
+  return '<ul class="subagent-tree">' + nodes + more + '</ul>';
 }
 
 /**
@@ -549,8 +881,10 @@ function esc(str) {
  */
 function renderCard(session) {
   const tools = session.recentTools || [];
-  const dist = toolDistribution(tools);
+  // Counts cover the whole session; recentTools is only the last few calls
+  const dist = session.toolCounts || toolDistribution(tools);
   const totalTools = session.toolCount || 0;
+  const activity = session.activity || null;
   const isExpanded = expandedTimelines.has(session.id);
 
   // Tool distribution bar segments
@@ -579,16 +913,33 @@ function renderCard(session) {
       data: m,
     });
   }
+  for (const c of (session.compactions || [])) {
+    timelineEntries.push({ type: 'compact', ts: c.ts, data: c });
+  }
   timelineEntries.sort((a, b) => b.ts - a.ts);
 
   // Timeline items
   const timelineItems = timelineEntries.map((entry) => {
     if (entry.type === 'tool') {
       const t = entry.data;
-      return '<li class="timeline-item">' +
+      const err = t.error;
+      const errLabel = err
+        ? (err.type === 'interrupted' ? 'interrupted' : (err.exitCode != null ? 'exit ' + err.exitCode : 'failed'))
+        : '';
+      return '<li class="timeline-item' + (err ? ' tool-error' : '') + '">' +
         '<span class="timeline-time">' + formatElapsed(t.ts) + '</span>' +
+        (err ? '<span class="timeline-error-mark" title="' + esc(err.message || errLabel) + '">&#x2715;</span>' : '') +
         '<span class="timeline-tool ' + getToolClass(t.toolName) + '">' + esc(t.toolName) + '</span>' +
         '<span class="timeline-detail" title="' + esc(t.toolDetail || t.toolSummary) + '">' + esc(t.toolSummary || '') + '</span>' +
+        (err ? '<span class="timeline-error-msg" title="' + esc(err.message || '') + '">' + esc(errLabel) + '</span>' : '') +
+        (t.redacted ? REDACTED_MARK : '') +
+        (t.durationMs != null ? '<span class="timeline-duration">' + formatToolDuration(t.durationMs) + '</span>' : '') +
+      '</li>';
+    } else if (entry.type === 'compact') {
+      return '<li class="timeline-item compact-item">' +
+        '<span class="timeline-time">' + formatElapsed(entry.ts) + '</span>' +
+        '<span>context compacted (' + esc(entry.data.trigger || 'auto') + ')</span>' +
+        '<span class="compact-rule"></span>' +
       '</li>';
     } else if (entry.type === 'user_message') {
       const m = entry.data;
@@ -596,6 +947,7 @@ function renderCard(session) {
         '<span class="timeline-time">' + formatElapsed(m.ts) + '</span>' +
         '<span class="timeline-tool tool-user_msg">User</span>' +
         '<span class="timeline-msg-text" title="' + esc(m.text) + '">' + esc(m.text) + '</span>' +
+        (m.redacted ? REDACTED_MARK : '') +
       '</li>';
     } else {
       const m = entry.data;
@@ -603,6 +955,7 @@ function renderCard(session) {
         '<span class="timeline-time">' + formatElapsed(m.ts) + '</span>' +
         '<span class="timeline-tool tool-assistant_msg">Assistant</span>' +
         '<span class="timeline-msg-text" title="' + esc(m.text) + '">' + esc(m.text) + '</span>' +
+        (m.redacted ? REDACTED_MARK : '') +
       '</li>';
     }
   }).join('');
@@ -613,20 +966,85 @@ function renderCard(session) {
     ? '<div class="topic-line" title="' + esc(session.topic || topicText) + '">&#x25B8; ' + esc(topicText.length > 120 ? topicText.slice(0, 117) + '...' : topicText) + '</div>'
     : '';
 
+  // Permission prompt banner
+  const waitingHtml = session.status === 'waiting'
+    ? '<div class="waiting-line">&#x25C6; waiting: ' + esc(session.waitingMessage || 'permission required') + '</div>'
+    : '';
+
+  // Operator pause banner
+  const pausedHtml = session.status === 'paused'
+    ? '<div class="paused-line">&#x2016; PAUSED by operator' + (session.pausedAt ? ' (' + formatElapsed(session.pausedAt) + ')' : '') +
+      ' &mdash; tool calls are held until resumed</div>'
+    : '';
+
+  // Agent process died without a SessionEnd
+  const crashedHtml = session.status === 'crashed'
+    ? '<div class="crashed-line">&#x2715; Agent process' + (session.pid ? ' ' + session.pid : '') +
+      ' exited without ending the session (crash, kill or closed terminal)</div>'
+    : '';
+
+  // Pause/resume toggle (not for ended or crashed sessions)
+  const pauseBtn = session.status === 'ended' || session.status === 'crashed'
+    ? ''
+    : session.status === 'paused'
+      ? '<button class="pause-btn resume" data-session="' + esc(session.id) + '" data-action="resume" title="Resume this agent">&#x25B6; Resume</button>'
+      : '<button class="pause-btn" data-session="' + esc(session.id) + '" data-action="pause" title="Hold this agent&#39;s tool calls">&#x2016; Pause</button>';
+
+  // In-flight tool calls: "running: Bash npm test (2m13s)"
+  const runningHtml = (session.runningTools || []).map((t) =>
+    '<div class="running-line" title="' + esc(t.toolDetail || t.toolSummary) + '">&#x25B6; running: ' +
+      esc(t.toolName + ' ' + (t.toolSummary || '')) +
+      ' <span class="running-elapsed">(' + formatToolDuration(Date.now() - t.startedAt) + ')</span>' +
+    '</div>'
+  ).join('');
+
   return '<div class="session-card status-' + esc(session.status) + '" data-id="' + esc(session.id) + '">' +
     '<div class="card-header">' +
       '<span class="status-dot ' + esc(session.status) + '"></span>' +
       '<span class="agent-name">' + esc(session.name) + '</span>' +
       '<span class="agent-model">' + esc(session.model || '') + '</span>' +
-      '<span class="agent-project" title="' + esc(session.cwd || '') + '">' + esc(projectName(session.cwd)) + '</span>' +
+      '<span class="agent-project" title="' + esc(session.cwd || '') + '">' + esc(projectName(session)) + '</span>' +
+      (session.git && session.git.branch
+        ? '<span class="agent-branch" title="' + esc(session.git.root) + '">&#x2387; ' + esc(session.git.branch) + '</span>'
+        : '') +
+      pauseBtn +
       '<span class="agent-elapsed">' + formatElapsed(session.lastEventAt) + '</span>' +
     '</div>' +
     topicHtml +
+    crashedHtml +
+    pausedHtml +
+    waitingHtml +
+    runningHtml +
+    renderPlan(session.plan) +
     '<div class="card-body">' +
       '<div class="summary-text">' + esc(session.summary || '') + '</div>' +
       '<div class="stats-row">' +
         '<span class="stat-item">Tools <span class="stat-value">' + totalTools + '</span></span>' +
-        '<span class="stat-item">Duration <span class="stat-value">' + formatDuration(session.lastEventAt - (totalTools > 0 ? 60000 : 0)) + '</span></span>' +
+        (session.redactedCount > 0 ? '<span class="stat-item" title="Events with secrets masked">Masked <span class="stat-value">' + session.redactedCount + '</span></span>' : '') +
+        (session.errorCount > 0 ? '<span class="stat-item stat-error">Errors <span class="stat-value">' + session.errorCount + '</span></span>' : '') +
+        (session.policy && session.policy.blocked > 0
+          ? '<span class="stat-item stat-error" title="' + esc(session.policy.recent.filter((d) => d.decision === 'deny')
+              .map((d) => d.toolName + ' ' + d.toolSummary + ' (' + (d.reason || d.rule) + ')').join(', ')) +
+              '">Blocked <span class="stat-value">' + session.policy.blocked + '</span></span>'
+          : '') +
+        (session.churn
+          ? '<span class="stat-item stat-churn" title="' + esc(session.churn.files.slice(0, 5).map((f) => f.file.split('/').pop() + ' +' + f.added + '/-' + f.removed).join(', ')) + '">Lines ' +
+              '<span class="stat-value"><span class="churn-add">+' + session.churn.added + '</span>/<span class="churn-del">-' + session.churn.removed + '</span></span>' +
+              ' <span class="churn-files">across ' + session.churn.files.length + ' file' + (session.churn.files.length > 1 ? 's' : '') + '</span></span>'
+          : '') +
+        (session.usage
+          ? '<span class="stat-item" title="' + esc('in ' + formatTokens(session.usage.input) + ', out ' + formatTokens(session.usage.output) +
+              ', cache ' + formatTokens(session.usage.cacheRead) + ' read / ' + formatTokens(session.usage.cacheWrite) + ' write') +
+              '">Tokens <span class="stat-value">' + formatTokens(session.usage.total) + '</span></span>' +
+            '<span class="stat-item stat-cost" title="Estimated from the model price table">Cost <span class="stat-value">' + formatCost(session.usage.costUsd) + '</span></span>'
+          : '') +
+        (activity
+          ? '<span class="stat-item" title="Wall time since the session started">Duration <span class="stat-value">' + formatToolDuration(activity.wallMs) + '</span></span>' +
+            '<span class="stat-item" title="' + esc(activityTitle(activity)) + '">Active <span class="stat-value">' + formatToolDuration(activity.activeMs) +
+              (activity.wallMs > 0 ? ' (' + Math.round(activity.activeMs / activity.wallMs * 100) + '%)' : '') + '</span></span>' +
+            '<span class="stat-item" title="Waiting for the next prompt">Idle <span class="stat-value">' + formatToolDuration(activity.idleMs) + '</span></span>' +
+            (activity.turnCount > 0 ? '<span class="stat-item" title="' + esc(turnsTitle(activity)) + '">Turns <span class="stat-value">' + activity.turnCount + '</span></span>' : '')
+          : '<span class="stat-item">Duration <span class="stat-value">' + formatDuration(session.lastEventAt - (totalTools > 0 ? 60000 : 0)) + '</span></span>') +
         distLabels +
       '</div>' +
       (distTotal > 0 ? '<div class="tool-dist"><div class="tool-dist-label">Tool distribution</div><div class="tool-bar">' + barSegments + '</div></div>' : '') +
@@ -640,6 +1058,7 @@ function renderCard(session) {
         '</ul>' +
       '</div>' +
     '</div>' +
+    renderSubagentTree(session) +
   '</div>';
 }
 
@@ -647,7 +1066,7 @@ function renderCard(session) {
  * Render all sessions.
  */
 function renderSessions(sessions) {
-  const activeCount = sessions.filter(s => s.status === 'active' || s.status === 'idle').length;
+  const activeCount = sessions.filter(s => s.status === 'active' || s.status === 'idle' || s.status === 'waiting' || s.status === 'paused').length;
   activeCountEl.textContent = activeCount + ' active';
 
   if (sessions.length === 0) {
@@ -663,7 +1082,7 @@ function renderSessions(sessions) {
   // Build new HTML - group by project if multiple projects exist
   const projects = {};
   for (const s of sessions) {
-    const proj = projectName(s.cwd) || 'unknown';
+    const proj = projectName(s) || 'unknown';
     if (!projects[proj]) projects[proj] = [];
     projects[proj].push(s);
   }
@@ -702,6 +1121,18 @@ function renderSessions(sessions) {
     container.appendChild(tempDiv.firstChild);
   }
 
+  // Pause/resume buttons
+  container.querySelectorAll('.pause-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      try {
+        await fetch('/api/sessions/' + encodeURIComponent(btn.dataset.session) + '/' + btn.dataset.action, { method: 'POST' });
+      } catch {
+        btn.disabled = false;
+      }
+    });
+  });
+
   // Re-attach timeline toggle listeners
   container.querySelectorAll('.timeline-toggle').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -721,6 +1152,20 @@ function renderSessions(sessions) {
   });
 }
 
+// Sessions by ID: a full snapshot replaces them, "session" and "removed" events patch them
+let sessionsById = new Map();
+let renderPending = false;
+
+function scheduleRender() {
+  if (renderPending) return;
+  renderPending = true;
+  requestAnimationFrame(() => {
+    renderPending = false;
+    const sessions = Array.from(sessionsById.values()).sort((a, b) => b.lastEventAt - a.lastEventAt);
+    renderSessions(sessions);
+  });
+}
+
 // SSE connection
 let evtSource = null;
 
@@ -739,12 +1184,32 @@ function connectSSE() {
   evtSource.onmessage = (e) => {
     try {
       const sessions = JSON.parse(e.data);
-      renderSessions(sessions);
+      sessionsById = new Map(sessions.map(s => [s.id, s]));
+      scheduleRender();
     } catch (err) {
       // ignore parse errors
     }
   };
 
+  evtSource.addEventListener('session', (e) => {
+    try {
+      const session = JSON.parse(e.data);
+      sessionsById.set(session.id, session);
+      scheduleRender();
+    } catch (err) {
+      // ignore parse errors
+    }
+  });
+
+  evtSource.addEventListener('removed', (e) => {
+    try {
+      sessionsById.delete(JSON.parse(e.data).id);
+      scheduleRender();
+    } catch (err) {
+      // ignore parse errors
+    }
+  });
+
   evtSource.onerror = () => {
     connectionDot.classList.remove('connected');
     connectionDot.title = 'Disconnected — reconnecting...';
@@ -36,6 +36,7 @@ ${getReplayCSS()}
     <span class="progress" id="progress">0 / 0</span>
   </div>
 
+  <div class="plan-panel" id="plan-panel"></div>
   <div class="timeline-container" id="timeline-container">
     <div class="empty-state" id="empty-state">
       <p>Select a session to replay</p>
@@ -132,6 +133,13 @@ body {
 .replay-entry.type-tool { border-left-color: var(--green); }
 .replay-entry.type-user_message { border-left-color: var(--purple); }
 .replay-entry.type-assistant_message { border-left-color: var(--cyan); }
+.replay-entry.type-thinking { border-left-color: var(--text-muted); }
+.replay-entry.type-thinking .replay-content { font-style: italic; }
+.replay-entry.type-compact { border-left-color: var(--yellow); align-items: center; }
+.replay-entry.type-compact .replay-content {
+  color: var(--yellow); font-family: var(--font-mono); font-size: 0.75rem;
+  border-top: 1px dashed var(--yellow); padding-top: 4px;
+}
 
 .replay-ts { font-family: var(--font-mono); font-size: 0.7rem; color: var(--text-muted); min-width: 70px; white-space: nowrap; }
 .replay-badge {
@@ -141,7 +149,29 @@ body {
 .replay-badge.tool { background: #1a3a2a; color: var(--green); }
 .replay-badge.user { background: #2a1a2a; color: var(--purple); }
 .replay-badge.assistant { background: #1a2a3a; color: var(--cyan); }
-.replay-content { font-size: 0.8rem; color: var(--text-dim); flex: 1; word-break: break-word; }
+.replay-badge.compact { background: #3a2e1a; color: var(--yellow); }
+.replay-badge.thinking { background: #21262d; color: var(--text-dim); }
+.replay-content { font-size: 0.8rem; color: var(--text-dim); flex: 1; word-break: break-word; min-width: 0; }
+.replay-text { white-space: pre-wrap; }
+.replay-result { margin-top: 4px; }
+.replay-result summary { cursor: pointer; color: var(--text-muted); font-size: 0.75rem; }
+.replay-result pre {
+  margin: 4px 0 0; padding: 8px; max-height: 300px; overflow: auto; white-space: pre-wrap;
+  font-family: var(--font-mono); font-size: 0.7rem; background: var(--bg); border: 1px solid var(--border); border-radius: 4px;
+}
+
+.plan-panel {
+  max-width: 900px; margin: 0 auto; width: 100%; padding: 10px 20px 0;
+  font-size: 0.8rem; display: none;
+}
+.plan-panel.visible { display: block; }
+.plan-head { display: flex; align-items: center; gap: 10px; font-family: var(--font-mono); color: var(--text-dim); }
+.plan-bar { width: 140px; height: 6px; border-radius: 3px; background: var(--border); overflow: hidden; }
+.plan-bar-fill { height: 100%; background: var(--green); transition: width 0.3s; }
+.plan-items { list-style: none; margin: 6px 0 0; padding: 0; display: flex; flex-wrap: wrap; gap: 4px 14px; }
+.plan-items li { color: var(--text); }
+.plan-items li.completed { color: var(--text-muted); text-decoration: line-through; }
+.plan-items li.in_progress { color: var(--yellow); }
 
 .scrubber { padding: 12px 20px; border-top: 1px solid var(--border); background: var(--bg-card); }
 .scrubber input[type=range] { width: 100%; }
@@ -154,6 +184,7 @@ function getReplayJS() {
 
 const sessionInfo = document.getElementById('session-info');
 const timelineContainer = document.getElementById('timeline-container');
+const planPanel = document.getElementById('plan-panel');
 const emptyState = document.getElementById('empty-state');
 const progress = document.getElementById('progress');
 const btnPlay = document.getElementById('btn-play');
@@ -177,7 +208,37 @@ function formatTime(ms) {
 
 function esc(str) {
   if (!str) return '';
-  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Show the TodoWrite plan as it stood at the current replay position.
+ */
+function renderPlan(sorted) {
+  let todos = null;
+  for (let i = Math.min(currentIndex, sorted.length - 1); i >= 0; i--) {
+    if (sorted[i].todos) { todos = sorted[i].todos; break; }
+  }
+  if (!todos || todos.length === 0) {
+    planPanel.className = 'plan-panel';
+    return;
+  }
+
+  const done = todos.filter((t) => t.status === 'completed').length;
+  const pct = (done / todos.length * 100).toFixed(0);
+  planPanel.className = 'plan-panel visible';
+  planPanel.innerHTML =
+    '<div class="plan-head">' +
+      '<span>Plan</span>' +
+      '<div class="plan-bar"><div class="plan-bar-fill" style="width:' + pct + '%"></div></div>' +
+      '<span>' + done + '/' + todos.length + ' done</span>' +
+    '</div>' +
+    '<ul class="plan-items">' + todos.map((t) =>
+      '<li class="' + esc(t.status) + '">' +
+        (t.status === 'completed' ? '&#x2713; ' : t.status === 'in_progress' ? '&#x25B6; ' : '&#x25CB; ') +
+        esc(t.content) +
+      '</li>'
+    ).join('') + '</ul>';
 }
 
 function renderTimeline() {
@@ -204,12 +265,22 @@ function renderTimeline() {
       if (entry.toolResultBrief) {
         content += ' <span style="color:var(--text-muted)">&rarr; ' + esc(entry.toolResultBrief) + '</span>';
       }
+      // Merged from the transcript: full input and result
+      if (entry.result) {
+        content += '<details class="replay-result"><summary>result</summary><pre>' + esc(entry.result) + '</pre></details>';
+      }
+    } else if (entry.type === 'compact') {
+      badge = '<span class="replay-badge compact">Compact</span>';
+      content = 'Context compacted (' + esc(entry.trigger || 'auto') + ')';
     } else if (entry.type === 'user_message') {
       badge = '<span class="replay-badge user">User</span>';
-      content = esc(entry.text || '');
+      content = '<div class="replay-text">' + esc(entry.text || '') + '</div>';
+    } else if (entry.type === 'thinking') {
+      badge = '<span class="replay-badge thinking">Thinking</span>';
+      content = '<div class="replay-text">' + esc(entry.text || '') + '</div>';
     } else {
       badge = '<span class="replay-badge assistant">Assistant</span>';
-      content = esc(entry.text || '');
+      content = '<div class="replay-text">' + esc(entry.text || '') + '</div>';
     }
 
     return '<div class="replay-entry ' + typeClass +
@@ -223,6 +294,7 @@ function renderTimeline() {
   }).join('');
 
   timelineContainer.innerHTML = html;
+  renderPlan(sorted);
   progress.textContent = (currentIndex + 1) + ' / ' + sorted.length;
   scrubberRange.max = sorted.length - 1;
   scrubberRange.value = currentIndex;
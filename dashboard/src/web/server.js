@@ -1,26 +1,47 @@
 'use strict';
 
 const http = require('http');
-const { loadAllSessions, clearEndedSessions } = require('../state');
-const { SessionWatcher } = require('../watcher');
+const { clearEndedSessions } = require('../state');
+const { SessionStore } = require('../store');
+const { SessionWatcher, TranscriptWatcher } = require('../watcher');
 const { loadConfig } = require('../config');
 const { SummaryManager } = require('../summarizer');
 const { getHtml } = require('./client');
-const { exportSession } = require('../exporter');
+const { exportSession, contentDisposition } = require('../exporter');
+const { loadToolHistory, loadFullTranscript, pageEvents } = require('../history');
+const { pruneSessions, retentionEnabled, PRUNE_INTERVAL_MS } = require('../retention');
+const { setPause, clearPause } = require('../../../hooks/lib/pause');
 
 const MAX_SSE_CLIENTS = 50;
 
 /**
- * Build the sessions payload with summaries attached.
+ * Build one session's payload with summaries attached.
  */
-function buildPayload(config, summaryManager) {
-  const sessions = loadAllSessions(config);
-  return sessions.map((session) => ({
+function sessionPayload(session, summaryManager) {
+  return {
     ...session,
     summary: summaryManager.getSummary(session),
     topicSummary: summaryManager.getTopicSummary(session),
     // conversation is already included from state.js
-  }));
+  };
+}
+
+/**
+ * Build the sessions payload with summaries attached.
+ */
+function buildPayload(store, summaryManager) {
+  return store.getSessions().map((session) => sessionPayload(session, summaryManager));
+}
+
+/**
+ * Decode a URL path segment, or null when it is malformed (a bad %-escape).
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
 }
 
 /**
@@ -30,38 +51,85 @@ function buildPayload(config, summaryManager) {
 function startWebServer(port) {
   const config = loadConfig();
   const summaryManager = new SummaryManager(config);
+  const store = new SessionStore(config);
+  store.refresh();
 
   // SSE clients
   const sseClients = new Set();
 
   /**
-   * Broadcast current state to all SSE clients.
+   * Write an SSE message to all clients. Without an event name it is the
+   * default "message" event, which carries a full snapshot.
+   */
+  function send(eventName, data) {
+    const frame = `${eventName ? `event: ${eventName}\n` : ''}data: ${JSON.stringify(data)}\n\n`;
+    for (const res of sseClients) {
+      try {
+        res.write(frame);
+      } catch {
+        sseClients.delete(res);
+      }
+    }
+  }
+
+  /**
+   * Broadcast the full session list to all SSE clients.
    */
   function broadcast() {
     try {
-      const payload = JSON.stringify(buildPayload(config, summaryManager));
-      for (const res of sseClients) {
-        try {
-          res.write(`data: ${payload}\n\n`);
-        } catch {
-          sseClients.delete(res);
-        }
-      }
+      send(null, buildPayload(store, summaryManager));
     } catch {
-      // Filesystem or serialization error — skip this broadcast cycle
+      // Serialization error — skip this broadcast cycle
     }
   }
 
-  // Wire up watcher
+  // Send only the sessions that changed: a "session" event per changed
+  // session and a "removed" event per session that left the list
+  store.on('update', ({ changed, removed }) => {
+    try {
+      for (const id of changed) {
+        send('session', sessionPayload(store.getSession(id), summaryManager));
+      }
+      for (const id of removed) {
+        send('removed', { id });
+      }
+    } catch {
+      // Serialization error — the next snapshot catches clients up
+    }
+  });
+
+  // Wire up watcher: only appended events are read
   const watcher = new SessionWatcher();
-  watcher.on('change', broadcast);
+  watcher.on('change', () => store.refresh());
   watcher.start();
 
-  // Auto-refresh every 5 seconds (matches TUI)
-  const autoRefreshTimer = setInterval(broadcast, 5000);
+  // Transcript writes (assistant messages) rebuild their sessions right away
+  const transcriptWatcher = new TranscriptWatcher();
+  transcriptWatcher.on('change', (sessionIds) => {
+    for (const id of sessionIds) store.invalidate(id);
+    store.refresh();
+  });
+  transcriptWatcher.start();
+
+  // Rebuild live sessions every 5 seconds (matches TUI)
+  const autoRefreshTimer = setInterval(() => store.tick(), 5000);
 
-  // Trigger broadcast on async summary updates
+  // Summaries can change for any session; send a fresh snapshot
   summaryManager.onUpdate = () => broadcast();
+  summaryManager.onError = (err) => console.error(`  AI summary failed: ${err.message}`);
+
+  // Apply the retention settings (same as `cam prune`) after startup, then
+  // periodically — only once the user set a limit
+  function runPrune() {
+    try {
+      if (pruneSessions(config, { store }).pruned.length > 0) store.refresh();
+    } catch {
+      // Pruning is housekeeping — never disrupt the server
+    }
+  }
+  const pruning = retentionEnabled(config.retention);
+  const pruneStartTimer = pruning ? setTimeout(runPrune, 10000) : null;
+  const pruneTimer = pruning ? setInterval(runPrune, PRUNE_INTERVAL_MS) : null;
 
   const server = http.createServer((req, res) => {
     const host = req.headers.host || `localhost:${port}`;
@@ -77,7 +145,8 @@ function startWebServer(port) {
 
     // GET /api/sessions — JSON snapshot
     if (pathname === '/api/sessions' && req.method === 'GET') {
-      const payload = buildPayload(config, summaryManager);
+      store.refresh();
+      const payload = buildPayload(store, summaryManager);
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(payload));
       return;
@@ -88,8 +157,81 @@ function startWebServer(port) {
       const cleared = clearEndedSessions();
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ cleared }));
-      // Broadcast updated state
-      setTimeout(broadcast, 100);
+      // Removals reach clients as "removed" events
+      store.refresh();
+      return;
+    }
+
+    // POST /api/sessions/:id/pause|resume — operator pause flag
+    const pauseMatch = pathname.match(/^\/api\/sessions\/([^/]+)\/(pause|resume)$/);
+    if (pauseMatch && req.method === 'POST') {
+      const sessionId = decodeSegment(pauseMatch[1]);
+      if (sessionId === null) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Malformed session ID' }));
+        return;
+      }
+      store.refresh();
+      const session = store.getSession(sessionId);
+      if (!session) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Session not found' }));
+        return;
+      }
+      if (pauseMatch[2] === 'pause' && (session.status === 'ended' || session.status === 'crashed')) {
+        res.writeHead(409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Session has ended' }));
+        return;
+      }
+
+      try {
+        if (pauseMatch[2] === 'pause') {
+          setPause(sessionId, 'web');
+        } else {
+          clearPause(sessionId);
+        }
+      } catch {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Could not write pause flag' }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ id: sessionId, paused: pauseMatch[2] === 'pause' }));
+      store.refresh();
+      return;
+    }
+
+    // GET /api/sessions/:id/events?cursor=&limit= — full event history, oldest first
+    const eventsMatch = pathname.match(/^\/api\/sessions\/([^/]+)\/events$/);
+    if (eventsMatch && req.method === 'GET') {
+      const sessionId = decodeSegment(eventsMatch[1]);
+      if (sessionId === null) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Malformed session ID' }));
+        return;
+      }
+      const cursorParam = parsedUrl.searchParams.get('cursor');
+      const limitParam = parsedUrl.searchParams.get('limit');
+      if ((cursorParam && !/^\d+$/.test(cursorParam)) || (limitParam && !/^\d+$/.test(limitParam))) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'cursor and limit must be non-negative integers' }));
+        return;
+      }
+
+      store.refresh();
+      const page = pageEvents(sessionId, store, {
+        cursor: cursorParam ? parseInt(cursorParam, 10) : 0,
+        limit: limitParam ? parseInt(limitParam, 10) : undefined,
+      });
+      if (!page) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Session not found' }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ sessionId, ...page }));
       return;
     }
 
@@ -104,8 +246,8 @@ function startWebServer(port) {
         return;
       }
 
-      const sessions = loadAllSessions(config);
-      const session = sessions.find((s) => s.id === sessionId);
+      store.refresh();
+      const session = store.getSession(sessionId);
       if (!session) {
         res.writeHead(404, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: 'Session not found' }));
@@ -113,7 +255,7 @@ function startWebServer(port) {
       }
 
       const summary = summaryManager.getSummary(session);
-      const content = exportSession(session, format, summary);
+      const content = exportSession(session, format, summary, store);
 
       const contentTypes = {
         json: 'application/json',
@@ -125,7 +267,7 @@ function startWebServer(port) {
 
       res.writeHead(200, {
         'Content-Type': `${ct}; charset=utf-8`,
-        'Content-Disposition': `attachment; filename="${session.name}.${ext}"`,
+        'Content-Disposition': contentDisposition(session, ext),
       });
       res.end(content);
       return;
@@ -135,8 +277,8 @@ function startWebServer(port) {
     if (pathname === '/api/stats' && req.method === 'GET') {
       try {
         const { computeStats } = require('../stats');
-        const sessions = loadAllSessions(config);
-        const stats = computeStats(sessions);
+        store.refresh();
+        const stats = computeStats(store.getSessions());
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(stats));
       } catch {
@@ -155,8 +297,8 @@ function startWebServer(port) {
         return;
       }
 
-      const sessions = loadAllSessions(config);
-      const session = sessions.find((s) => s.id === sessionId);
+      store.refresh();
+      const session = store.getSession(sessionId);
       if (!session) {
         res.writeHead(404, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: 'Session not found' }));
@@ -164,7 +306,10 @@ function startWebServer(port) {
       }
 
       const { buildTimeline } = require('../timeline');
-      const timeline = buildTimeline(session.recentTools, session.conversation || []);
+      const timeline = buildTimeline(
+        loadToolHistory(session, store), session.conversation || [], session.compactions,
+        loadFullTranscript(session, config)
+      );
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ session: { id: session.id, name: session.name, status: session.status }, timeline }));
       return;
@@ -207,7 +352,7 @@ function startWebServer(port) {
 
       // Send initial state
       try {
-        const payload = JSON.stringify(buildPayload(config, summaryManager));
+        const payload = JSON.stringify(buildPayload(store, summaryManager));
         res.write(`data: ${payload}\n\n`);
       } catch {
         // ignore — client will get data on next broadcast
@@ -240,7 +385,10 @@ function startWebServer(port) {
 
   function cleanup() {
     watcher.stop();
+    transcriptWatcher.stop();
     clearInterval(autoRefreshTimer);
+    clearTimeout(pruneStartTimer);
+    clearInterval(pruneTimer);
     for (const client of sseClients) {
       try { client.end(); } catch { /* ignore */ }
     }
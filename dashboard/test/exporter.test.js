@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { contentDisposition, exportSession } = require('../src/exporter');
+
+test('export downloads of free-text labels get a valid Content-Disposition', () => {
+  for (const name of ['审查员 reviewer', 'say "hi"', 'two\nlines', '../etc/passwd']) {
+    const value = contentDisposition({ id: 'abc123', name }, 'md');
+    assert.doesNotThrow(() => http.validateHeaderValue('Content-Disposition', value), name);
+    const ascii = value.match(/filename="([^"]*)"/)[1];
+    assert.match(ascii, /^[A-Za-z0-9._-]+\.md$/);
+    assert.ok(!ascii.startsWith('.'), ascii);
+  }
+});
+
+test('the original label survives in filename*', () => {
+  const value = contentDisposition({ id: 'abc123', name: '审查员 reviewer' }, 'md');
+  const encoded = value.match(/filename\*=UTF-8''(\S+)$/)[1];
+  assert.strictEqual(decodeURIComponent(encoded), '审查员 reviewer.md');
+  assert.match(value, /filename="reviewer\.md"/);
+});
+
+test('a label with no safe characters falls back to the session ID', () => {
+  assert.match(contentDisposition({ id: 'abc123', name: '审查员' }, 'csv'), /filename="abc123\.csv"/);
+});
+
+test('CSV fields double embedded quotes in every column', () => {
+  const session = {
+    id: 'abc123',
+    name: 'csv',
+    git: { branch: 'fix/"quoted"', startHead: 'a1b2c3d', endHead: null, root: '/src/"repo"' },
+    conversation: [],
+    recentTools: [],
+  };
+  const store = { getEvents: () => [] };
+  const gitRow = exportSession(session, 'csv', '', store).split('\n')[1];
+  assert.strictEqual(gitRow, '"","git","fix/""quoted""","a1b2c3d..","/src/""repo""","","","","",""');
+});
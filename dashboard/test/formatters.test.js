@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarizeTool, detailTool, toolUseFields } = require('../../hooks/lib/shared');
+
+test('tool names that are Object.prototype members get the generic formatter', () => {
+  for (const name of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+    assert.strictEqual(typeof summarizeTool(name, { query: 'x' }), 'string', name);
+    assert.strictEqual(typeof detailTool(name, { query: 'x' }), 'string', name);
+  }
+});
+
+test('built-in tools still use their own formatter', () => {
+  assert.match(summarizeTool('Bash', { command: 'npm test' }), /npm test/);
+});
+
+test('TodoWrite item states outside the known set are stored as pending', () => {
+  const { todos } = toolUseFields({
+    tool_name: 'TodoWrite',
+    tool_input: {
+      todos: [
+        { content: 'a', status: 'completed' },
+        { content: 'b', status: 'in_progress' },
+        { content: 'c', status: '" onmouseover="alert(1)' },
+        { content: 'd', status: { nested: true } },
+        { content: 'e' },
+      ],
+    },
+  });
+  assert.deepStrictEqual(todos.map((t) => t.status), ['completed', 'in_progress', 'pending', 'pending', 'pending']);
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { pageEvents, loadToolHistory } = require('../src/history');
+
+const ev = (i, fields) => ({ ts: new Date(Date.UTC(2026, 0, 1, 10, 0, i)).toISOString(), session_id: 's1', ...fields });
+
+test('event pages come from the store and cursors survive appends', () => {
+  const store = { events: [ev(0, { event: 'session_start' }), ev(1, { event: 'user_prompt', prompt: 'hi' })] };
+  store.getEvents = (id) => (id === 's1' ? store.events : null);
+
+  const first = pageEvents('s1', store, { limit: 1 });
+  assert.strictEqual(first.total, 2);
+  assert.strictEqual(first.nextCursor, 1);
+
+  store.events = store.events.concat([ev(2, { event: 'stop' })]);
+  const second = pageEvents('s1', store, { cursor: first.nextCursor, limit: 5 });
+  assert.deepStrictEqual(second.events.map((e) => e.event), ['user_prompt', 'stop']);
+  assert.strictEqual(second.nextCursor, null);
+
+  assert.strictEqual(pageEvents('other', store), null);
+  assert.strictEqual(pageEvents('../etc', store), null);
+});
+
+test('tool history is rebuilt only when the event list changes', () => {
+  const store = { events: [ev(0, { event: 'tool_use', tool_name: 'Bash', tool_input: { command: 'ls' } })] };
+  store.getEvents = () => store.events;
+  const session = { id: 's1', recentTools: [] };
+
+  const tools = loadToolHistory(session, store);
+  assert.strictEqual(tools.length, 1);
+  assert.strictEqual(loadToolHistory(session, store), tools);
+
+  store.events = store.events.concat([ev(1, { event: 'tool_use', tool_name: 'Read', tool_input: { file_path: '/a' } })]);
+  assert.strictEqual(loadToolHistory(session, store).length, 2);
+});
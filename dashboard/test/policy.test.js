@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Pause flags and policy.json live under HOME; keep them out of the real one
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'cam-policy-'));
+process.env.HOME = HOME;
+
+const { evaluatePolicy } = require('../../hooks/lib/policy');
+const { setPause, clearPause, waitForResume } = require('../../hooks/lib/pause');
+
+const GUARD = path.join(__dirname, '..', '..', 'hooks', 'policy-guard.js');
+const CWD = '/work/project';
+
+const policy = (...rules) => ({ rules });
+const decide = (p, tool, input, cwd = CWD) => {
+  const result = evaluatePolicy(p, tool, input, { cwd });
+  return result && result.decision;
+};
+
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+test('the strictest matching decision wins, whatever the rule order', () => {
+  const p = policy(
+    { id: 'allow-git', decision: 'allow', tool: 'Bash', match: { command: '^git\\b' } },
+    { id: 'confirm-push', decision: 'ask', tool: 'Bash', match: { command: '^git\\s+push\\b' } },
+    { id: 'no-force', decision: 'deny', tool: 'Bash', match: { command: '--force' } },
+  );
+  assert.strictEqual(decide(p, 'Bash', { command: 'git status' }), 'allow');
+  assert.strictEqual(decide(p, 'Bash', { command: 'git push' }), 'ask');
+  assert.strictEqual(evaluatePolicy(p, 'Bash', { command: 'git push --force' }, { cwd: CWD }).rule, 'no-force');
+  assert.strictEqual(decide(p, 'Bash', { command: 'ls' }), null);
+});
+
+test('unless skips a rule, with $CWD expanded to the session directory', () => {
+  const p = policy({
+    id: 'rm-rf-in-repo-only',
+    decision: 'deny',
+    tool: 'Bash',
+    match: { command: '\\brm\\s+-\\w*(rf|fr)' },
+    unless: { command: '^rm\\s+-\\w+\\s+(\\./|$CWD/)\\S*$' },
+  });
+  assert.strictEqual(decide(p, 'Bash', { command: 'rm -rf /' }), 'deny');
+  assert.strictEqual(decide(p, 'Bash', { command: `rm -rf ${CWD}/build` }), null);
+  assert.strictEqual(decide(p, 'Bash', { command: 'rm -rf ./build' }), null);
+  // Regex characters in the directory are escaped, not interpreted
+  assert.strictEqual(decide(p, 'Bash', { command: 'rm -rf /work/projectX/build' }), 'deny');
+});
+
+test('file paths are resolved from ~ and the session cwd before $HOME matching', () => {
+  const p = policy({ id: 'no-ssh', decision: 'deny', tool: 'Write|Edit', match: { file_path: '^$HOME/\\.ssh/' } });
+  assert.strictEqual(decide(p, 'Write', { file_path: `${os.homedir()}/.ssh/config` }), 'deny');
+  assert.strictEqual(decide(p, 'Write', { file_path: '~/.ssh/authorized_keys' }), 'deny');
+  assert.strictEqual(decide(p, 'Edit', { file_path: '.ssh/id_rsa' }, os.homedir()), 'deny');
+  assert.strictEqual(decide(p, 'Edit', { file_path: '../.ssh/id_rsa' }, path.join(os.homedir(), 'src')), 'deny');
+  assert.strictEqual(decide(p, 'Write', { file_path: '.ssh/id_rsa' }, CWD), null);
+});
+
+test('tool patterns are anchored, alternation included', () => {
+  const p = policy({ id: 'no-writes', decision: 'deny', tool: 'Write|Edit' });
+  assert.strictEqual(decide(p, 'Write', {}), 'deny');
+  assert.strictEqual(decide(p, 'Edit', {}), 'deny');
+  assert.strictEqual(decide(p, 'MultiEdit', {}), null);
+  assert.strictEqual(decide(p, 'WriteFile', {}), null);
+  assert.strictEqual(decide(policy({ decision: 'ask', tool: '*' }), 'Anything', {}), 'ask');
+});
+
+test('invalid regexes never match', () => {
+  const p = policy(
+    { id: 'bad-match', decision: 'deny', match: { command: '(' } },
+    { id: 'bad-tool', decision: 'deny', tool: '[' },
+  );
+  assert.strictEqual(decide(p, 'Bash', { command: '(' }), null);
+  // A broken unless does not switch a rule off
+  const q = policy({ id: 'r', decision: 'deny', match: { command: 'rm' }, unless: { command: '(' } });
+  assert.strictEqual(decide(q, 'Bash', { command: 'rm x' }), 'deny');
+});
+
+test('a paused call is held until resumed, or until the hold time runs out', async () => {
+  const id = 'paused-session';
+  setPause(id, 'test');
+  const started = Date.now();
+  assert.strictEqual(await waitForResume(id, { holdMs: 150, pollMs: 20 }), false);
+  assert.ok(Date.now() - started >= 150);
+
+  setTimeout(() => clearPause(id), 60);
+  assert.strictEqual(await waitForResume(id, { holdMs: 5000, pollMs: 20 }), true);
+});
+
+test('the guard hook answers with the policy decision', () => {
+  const dir = path.join(HOME, '.claude', 'agent-monitor');
+  fs.mkdirSync(dir, { recursive: true });
+  const input = JSON.stringify({ session_id: 's1', tool_name: 'Bash', tool_input: { command: 'rm -rf /' }, cwd: CWD });
+  const run = () => execFileSync(process.execPath, [GUARD], { input, env: { ...process.env, HOME }, encoding: 'utf8' });
+
+  assert.strictEqual(run(), '');
+
+  fs.writeFileSync(path.join(dir, 'policy.json'), JSON.stringify(policy({ id: 'no-rm', decision: 'deny', match: { command: '^rm' }, reason: 'No rm' })));
+  const out = JSON.parse(run()).hookSpecificOutput;
+  assert.strictEqual(out.permissionDecision, 'deny');
+  assert.strictEqual(out.permissionDecisionReason, 'No rm');
+});
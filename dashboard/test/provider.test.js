@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// The summary cache lives under HOME; keep it out of the real one
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'cam-provider-'));
+process.env.HOME = HOME;
+
+const { complete, ProviderError } = require('../src/provider');
+const { SummaryManager } = require('../src/summarizer');
+
+const MOCK = { provider: 'mock', model: 'mock' };
+
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+/**
+ * Local OpenAI-compatible server that answers with the given statuses in
+ * turn (the last one repeats); 200 returns a completion.
+ */
+async function withServer(statuses, fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(Date.now());
+    const status = statuses[Math.min(requests.length, statuses.length) - 1];
+    if (status === 200) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: ' done ' } }] }));
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...(status === 429 ? { 'Retry-After': '0' } : {}) });
+    res.end(JSON.stringify({ error: { message: `status ${status}` } }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const config = { provider: 'custom', baseUrl: `http://127.0.0.1:${server.address().port}/v1`, model: 'm' };
+  try {
+    await fn(config, requests);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('the mock provider answers deterministically, offline', async () => {
+  const a = await complete(MOCK, 'summarize this session', { maxTokens: 100 });
+  assert.strictEqual(a, await complete(MOCK, 'summarize this session', { maxTokens: 100 }));
+  assert.match(a, /^Mock summary [0-9a-f]{8} of a 22-character prompt$/);
+  assert.notStrictEqual(a, await complete(MOCK, 'summarize that session', { maxTokens: 100 }));
+  // Topic budgets get a short title
+  assert.match(await complete(MOCK, 'summarize this session', { maxTokens: 60 }), /^Mock topic [0-9a-f]{4}$/);
+});
+
+test('SummaryManager stores the mock summary and notifies once it arrives', async () => {
+  const manager = new SummaryManager(MOCK);
+  const session = {
+    id: 'mock-session',
+    status: 'active',
+    cwd: '/work/project',
+    toolCount: 1,
+    messageCount: 1,
+    recentTools: [{ tool_name: 'Bash', summary: 'npm test', ts: Date.now() }],
+    conversation: [{ role: 'user', text: 'run the tests', ts: Date.now() }],
+  };
+
+  const updated = new Promise((resolve) => { manager.onUpdate = resolve; });
+  manager.getSummary(session);
+  await updated;
+
+  const text = manager.getSummary(session);
+  assert.match(text, /^Mock summary [0-9a-f]{8} /);
+  assert.strictEqual(new SummaryManager(MOCK).getSummary(session), text, 'persisted for other processes');
+});
+
+test('retryable failures are retried, honouring Retry-After', async () => {
+  await withServer([429, 503, 200], async (config, requests) => {
+    assert.strictEqual(await complete(config, 'hi', { retries: 2 }), 'done');
+    assert.strictEqual(requests.length, 3);
+    // 429 says Retry-After: 0; the 503 after it backs off 2 x 500ms
+    assert.ok(requests[2] - requests[1] >= 900, `waited ${requests[2] - requests[1]}ms`);
+  });
+});
+
+test('a failure that outlasts the retries rejects with a ProviderError', async () => {
+  await withServer([429], async (config, requests) => {
+    await assert.rejects(complete(config, 'hi', { retries: 1 }), (err) => {
+      assert.ok(err instanceof ProviderError);
+      assert.strictEqual(err.code, 'http');
+      assert.strictEqual(err.status, 429);
+      assert.strictEqual(err.retryable, true);
+      return true;
+    });
+    assert.strictEqual(requests.length, 2);
+  });
+});
+
+test('client errors are not retried', async () => {
+  await withServer([401], async (config, requests) => {
+    await assert.rejects(complete(config, 'hi'), { name: 'ProviderError', code: 'http', status: 401, retryable: false });
+    assert.strictEqual(requests.length, 1);
+  });
+});
+
+test('an invalid base URL is a config error', async () => {
+  await assert.rejects(complete({ provider: 'openai', baseUrl: 'not a url' }, 'hi'), { name: 'ProviderError', code: 'config' });
+});
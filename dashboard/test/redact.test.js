@@ -0,0 +1,19 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { redactText } = require('../../hooks/lib/shared');
+
+test('token assignments are masked when TOKEN is the last word of the name', () => {
+  for (const line of ['GITHUB_TOKEN=abc123def', 'export API_TOKEN="abc123def"', 'TOKEN: abc123def']) {
+    const { text, redacted } = redactText(line);
+    assert.ok(redacted, line);
+    assert.ok(!text.includes('abc123def'), text);
+  }
+});
+
+test('settings that merely mention tokens are left alone', () => {
+  for (const line of ['MAX_TOKENS=4096', 'TOKEN_LIMIT=8000', 'export MAX_OUTPUT_TOKENS=32000']) {
+    assert.deepStrictEqual(redactText(line), { text: line, redacted: false });
+  }
+});
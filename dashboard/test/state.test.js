@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { pairToolEvents, deriveStatus } = require('../src/state');
+
+const T0 = Date.parse('2026-01-01T10:00:00Z');
+const at = (sec) => new Date(T0 + sec * 1000).toISOString();
+const ev = (sec, event, fields) => ({ ts: at(sec), event, session_id: 's1', ...fields });
+
+test('an interrupted tool stops running at the next user prompt', () => {
+  const events = [
+    ev(0, 'session_start'),
+    ev(1, 'user_prompt', { prompt: 'run the tests' }),
+    ev(2, 'tool_start', { tool_name: 'Bash', tool_use_id: 'tu1' }),
+    // Esc: no PostToolUse for tu1, the user types again
+    ev(30, 'user_prompt', { prompt: 'stop, do this instead' }),
+  ];
+
+  const { running } = pairToolEvents(events, T0 + 31 * 1000);
+  assert.deepStrictEqual(running, []);
+
+  // Active right after the prompt, stale once nothing follows it
+  assert.strictEqual(deriveStatus(events, T0 + 31 * 1000, running.length), 'active');
+  const later = T0 + 31 * 60 * 1000;
+  assert.strictEqual(deriveStatus(events, later, pairToolEvents(events, later).running.length), 'stale');
+});
+
+test('a tool started just before its own prompt event is still running', () => {
+  // UserPromptSubmit and PreToolUse run async, so the prompt can be written second
+  const events = [
+    ev(0, 'session_start'),
+    ev(2, 'tool_start', { tool_name: 'Read', tool_use_id: 'tu1' }),
+    ev(1, 'user_prompt', { prompt: 'read the file' }),
+  ];
+  assert.strictEqual(pairToolEvents(events, T0 + 3000).running.length, 1);
+});
+
+test('an idle prompt closes open tools', () => {
+  const events = [
+    ev(0, 'user_prompt', { prompt: 'go' }),
+    ev(1, 'tool_start', { tool_name: 'Bash', tool_use_id: 'tu1' }),
+    ev(90, 'idle_prompt'),
+  ];
+  const { running } = pairToolEvents(events, T0 + 91 * 1000);
+  assert.deepStrictEqual(running, []);
+  assert.strictEqual(deriveStatus(events, T0 + 91 * 1000, running.length), 'idle');
+});
+
+test('a tool that never finishes stops counting as running after the cap', () => {
+  const events = [
+    ev(0, 'user_prompt', { prompt: 'go' }),
+    ev(1, 'tool_start', { tool_name: 'Bash', tool_use_id: 'tu1' }),
+  ];
+  assert.strictEqual(pairToolEvents(events, T0 + 10 * 60 * 1000).running.length, 1);
+  assert.strictEqual(pairToolEvents(events, T0 + 40 * 60 * 1000).running.length, 0);
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Transcripts and config.json live under HOME; keep them out of the real one
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'cam-transcript-'));
+process.env.HOME = HOME;
+
+const { loadConversation, encodeProjectPath, CLAUDE_PROJECTS_DIR } = require('../src/transcript');
+
+const SESSION_ID = '22222222-2222-2222-2222-222222222222';
+const CWD = '/work/project';
+
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+test('conversation text is masked once per transcript load', () => {
+  const dir = path.join(CLAUDE_PROJECTS_DIR, encodeProjectPath(CWD));
+  fs.mkdirSync(dir, { recursive: true });
+  const line = (type, content, sec) =>
+    JSON.stringify({ type, message: { role: type, content }, timestamp: new Date(Date.UTC(2026, 0, 1, 10, 0, sec)).toISOString() });
+  fs.writeFileSync(path.join(dir, `${SESSION_ID}.jsonl`), [
+    line('user', 'deploy with GITHUB_TOKEN=abc123def456', 0),
+    line('assistant', 'Deploying now.', 1),
+  ].join('\n') + '\n');
+
+  const messages = loadConversation(SESSION_ID, CWD);
+  assert.strictEqual(messages[0].text, 'deploy with GITHUB_TOKEN=[REDACTED]');
+  assert.strictEqual(messages[0].redacted, true);
+  assert.strictEqual(messages[1].redacted, false);
+
+  // Unchanged transcript and config: the masked list is reused as is
+  assert.strictEqual(loadConversation(SESSION_ID, CWD), messages);
+
+  // New redactPatterns mask again
+  const configDir = path.join(HOME, '.claude', 'agent-monitor');
+  fs.mkdirSync(configDir, { recursive: true });
+  fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({ redactPatterns: ['Deploying'] }));
+  const remasked = loadConversation(SESSION_ID, CWD);
+  assert.notStrictEqual(remasked, messages);
+  assert.strictEqual(remasked[1].text, '[REDACTED] now.');
+});
@@ -3,6 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { redactEvent } = require('./shared');
 
 const CONFIG_PATH = path.join(os.homedir(), '.claude', 'agent-monitor', 'config.json');
 const MAP_PATH = path.join(os.homedir(), '.claude', 'agent-monitor', 'archive-map.json');
@@ -54,7 +55,7 @@ function computeArchivePath(basePath, sessionId, date) {
 
 /**
  * Append a JSON entry to an archive file.
- * Creates directories as needed. Silent on failure.
+ * Secrets are masked first. Creates directories as needed. Silent on failure.
  * @param {string} filePath - Full path to the archive JSONL file
  * @param {object} entry - The event object to append
  */
@@ -62,7 +63,7 @@ function appendToArchive(filePath, entry) {
   try {
     const dir = path.dirname(filePath);
     fs.mkdirSync(dir, { recursive: true });
-    fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', 'utf8');
+    fs.appendFileSync(filePath, JSON.stringify(redactEvent(entry)) + '\n', 'utf8');
   } catch {
     // Silent failure — never disrupt hooks
   }
@@ -145,6 +146,26 @@ function resolveArchivePath(basePath, sessionId) {
   return map[sessionId] || null;
 }
 
+/**
+ * Whether a session's events are safe in the archive, so its state file can
+ * be deleted. Without a configured archive there is nothing to confirm.
+ * @param {string} sessionId - The session ID
+ * @returns {boolean} true if no archive is configured, or the session's
+ *   archive file exists and is not empty.
+ */
+function isArchived(sessionId) {
+  const basePath = getArchiveBasePath();
+  if (!basePath) return true;
+
+  const filePath = resolveArchivePath(basePath, sessionId);
+  if (!filePath) return false;
+  try {
+    return fs.statSync(filePath).size > 0;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Append an event to an existing session's archive file.
  * Resolves the file path via the mapping, then appends.
@@ -169,4 +190,5 @@ module.exports = {
   initArchive,
   resolveArchivePath,
   archiveEvent,
+  isArchived,
 };
@@ -0,0 +1,407 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// User formatter modules: ~/.claude/agent-monitor/formatters/*.js
+const USER_FORMATTERS_DIR = path.join(os.homedir(), '.claude', 'agent-monitor', 'formatters');
+
+/*
+ * A formatter describes how one tool shows up in the monitor:
+ *   summary(input, toolName)  short text for one-line displays (~50 chars)
+ *   detail(input, toolName)   longer description, capped at 200 chars
+ *   category                  grouping key for ruleSummary(), e.g. 'edit', 'command'
+ *   label                     singular noun for counts, e.g. 'GitHub call' -> "2 GitHub calls"
+ *
+ * User modules export one formatter or an array of them, each with either
+ * `tools: ['ToolName', ...]` or `match: RegExp | (toolName) => boolean`.
+ * User formatters win over built-ins; any that throw fall back to the built-in.
+ */
+
+const cap = (str, max) =>
+  str.length > max ? str.slice(0, max - 1) + '\u2026' : str;
+
+// Last three path segments, e.g. src/auth/login.ts
+const relPath = (fp) => (fp || '').split('/').slice(-3).join('/');
+
+const firstLine = (str) => (str || '').split('\n')[0];
+
+const fileSummary = (input) => path.basename(input.file_path || input.notebook_path || '');
+
+const BUILTIN_FORMATTERS = {
+  Bash: {
+    category: 'command',
+    label: 'command',
+    summary: (input) => {
+      const cmd = input.command || '';
+      return cmd.length > 50 ? cmd.slice(0, 50) + '...' : cmd;
+    },
+    detail: (input) => {
+      const cmd = input.command || '';
+      const desc = input.description || '';
+      if (desc) return cap(`${desc} — ${cmd}`, 200);
+      return cap(cmd, 200);
+    },
+  },
+  BashOutput: {
+    category: 'command',
+    label: 'command',
+    summary: (input) => `output of ${input.bash_id || input.shell_id || 'shell'}`,
+    detail: (input) => cap(`Reading output of background shell ${input.bash_id || input.shell_id || ''}`.trim(), 200),
+  },
+  KillShell: {
+    category: 'command',
+    label: 'command',
+    summary: (input) => `kill ${input.shell_id || input.bash_id || 'shell'}`,
+    detail: (input) => cap(`Killing background shell ${input.shell_id || input.bash_id || ''}`.trim(), 200),
+  },
+  Read: {
+    category: 'read',
+    label: 'file read',
+    summary: fileSummary,
+    detail: (input) => {
+      const offset = input.offset ? ` from line ${input.offset}` : '';
+      return cap(`Reading ${relPath(input.file_path)}${offset}`, 200);
+    },
+  },
+  NotebookRead: {
+    category: 'read',
+    label: 'file read',
+    summary: fileSummary,
+    detail: (input) => cap(`Reading notebook ${relPath(input.notebook_path)}`, 200),
+  },
+  Write: {
+    category: 'edit',
+    label: 'file edit',
+    summary: fileSummary,
+    detail: (input) => cap(`Writing ${relPath(input.file_path)}`, 200),
+  },
+  Edit: {
+    category: 'edit',
+    label: 'file edit',
+    summary: fileSummary,
+    detail: (input) => {
+      const rel = relPath(input.file_path);
+      const old = firstLine(input.old_string);
+      if (old) return cap(`${rel}: replacing "${old}"`, 200);
+      return cap(rel, 200);
+    },
+  },
+  MultiEdit: {
+    category: 'edit',
+    label: 'file edit',
+    summary: fileSummary,
+    detail: (input) => {
+      const edits = Array.isArray(input.edits) ? input.edits : [];
+      const rel = relPath(input.file_path);
+      const first = edits.length > 0 ? firstLine(edits[0].old_string) : '';
+      const count = `${edits.length} edit${edits.length === 1 ? '' : 's'}`;
+      if (first) return cap(`${rel}: ${count}, first replacing "${first}"`, 200);
+      return cap(`${rel}: ${count}`, 200);
+    },
+  },
+  NotebookEdit: {
+    category: 'edit',
+    label: 'file edit',
+    summary: fileSummary,
+    detail: (input) => {
+      const mode = input.edit_mode || 'replace';
+      const cell = input.cell_id ? ` cell ${input.cell_id}` : '';
+      return cap(`Notebook ${relPath(input.notebook_path)}: ${mode}${cell}`, 200);
+    },
+  },
+  Grep: {
+    category: 'search',
+    label: 'search',
+    summary: (input, name) => input.pattern || name,
+    detail: (input) => {
+      const dir = input.path ? path.basename(input.path) : 'cwd';
+      return cap(`Searching "${input.pattern || ''}" in ${dir}`, 200);
+    },
+  },
+  Glob: {
+    category: 'search',
+    label: 'search',
+    summary: (input, name) => input.pattern || name,
+    detail: (input) => {
+      const dir = input.path ? path.basename(input.path) : 'cwd';
+      return cap(`Finding ${input.pattern || ''} in ${dir}`, 200);
+    },
+  },
+  LS: {
+    category: 'search',
+    label: 'search',
+    summary: (input, name) => (input.path ? path.basename(input.path) : name),
+    detail: (input) => cap(`Listing ${relPath(input.path) || 'cwd'}`, 200),
+  },
+  Task: {
+    category: 'agent',
+    label: 'sub-agent',
+    summary: (input, name) => input.description || name,
+    detail: (input) => {
+      const desc = input.description || '';
+      const type = input.subagent_type || '';
+      if (type) return cap(`[${type}] ${desc}`, 200);
+      return cap(desc, 200);
+    },
+  },
+  WebSearch: {
+    category: 'web',
+    label: 'web request',
+    summary: (input, name) => input.query || name,
+    detail: (input) => cap(`Searching web: "${input.query || ''}"`, 200),
+  },
+  WebFetch: {
+    category: 'web',
+    label: 'web request',
+    summary: (input, name) => input.url || name,
+    detail: (input) => {
+      const prompt = input.prompt || '';
+      const url = input.url || '';
+      if (prompt) return cap(`Fetching ${url} — ${prompt}`, 200);
+      return cap(`Fetching ${url}`, 200);
+    },
+  },
+  TodoWrite: {
+    category: 'plan',
+    label: 'plan update',
+    summary: (input) => {
+      const todos = Array.isArray(input.todos) ? input.todos : [];
+      const done = todos.filter((t) => t.status === 'completed').length;
+      return `${done}/${todos.length} todos done`;
+    },
+    detail: (input) => {
+      const todos = Array.isArray(input.todos) ? input.todos : [];
+      const current = todos.find((t) => t.status === 'in_progress');
+      const done = todos.filter((t) => t.status === 'completed').length;
+      const base = `Plan: ${done}/${todos.length} done`;
+      if (current) return cap(`${base}, now: ${current.activeForm || current.content || ''}`, 200);
+      return cap(base, 200);
+    },
+  },
+  ExitPlanMode: {
+    category: 'plan',
+    label: 'plan update',
+    summary: () => 'plan ready',
+    detail: (input) => cap(`Plan ready: ${firstLine(input.plan)}`, 200),
+  },
+  AskUserQuestion: {
+    category: 'question',
+    label: 'question',
+    summary: (input, name) => {
+      const q = Array.isArray(input.questions) && input.questions[0];
+      return q ? cap(q.header || q.question || name, 50) : name;
+    },
+    detail: (input, name) => {
+      const qs = Array.isArray(input.questions) ? input.questions : [];
+      return qs.length > 0 ? cap(qs.map((q) => q.question).join(' / '), 200) : name;
+    },
+  },
+  SlashCommand: {
+    category: 'command',
+    label: 'command',
+    summary: (input, name) => input.command || name,
+    detail: (input, name) => cap(input.command || name, 200),
+  },
+  Skill: {
+    category: 'skill',
+    label: 'skill',
+    summary: (input, name) => input.skill || input.command || name,
+    detail: (input, name) => cap(`Running skill ${input.skill || input.command || name}`, 200),
+  },
+  ListMcpResourcesTool: {
+    category: 'mcp',
+    label: 'MCP call',
+    summary: (input) => (input.server ? `${input.server} resources` : 'resources'),
+    detail: (input) => cap(`Listing MCP resources${input.server ? ` on ${input.server}` : ''}`, 200),
+  },
+  ReadMcpResourceTool: {
+    category: 'mcp',
+    label: 'MCP call',
+    summary: (input, name) => input.uri || name,
+    detail: (input) => cap(`Reading MCP resource ${input.uri || ''}${input.server ? ` from ${input.server}` : ''}`, 200),
+  },
+};
+
+// Sub-agents are launched as "Agent" in newer Claude Code versions
+BUILTIN_FORMATTERS.Agent = BUILTIN_FORMATTERS.Task;
+
+// Display names for common MCP servers; others are capitalized as-is
+const MCP_SERVER_NAMES = {
+  github: 'GitHub',
+  gitlab: 'GitLab',
+  slack: 'Slack',
+  linear: 'Linear',
+  jira: 'Jira',
+  atlassian: 'Atlassian',
+  notion: 'Notion',
+  sentry: 'Sentry',
+  postgres: 'Postgres',
+  sqlite: 'SQLite',
+  playwright: 'Playwright',
+  puppeteer: 'Puppeteer',
+  filesystem: 'Filesystem',
+  context7: 'Context7',
+  figma: 'Figma',
+  ide: 'IDE',
+};
+
+/**
+ * Parse an MCP tool name: mcp__<server>__<tool>.
+ * @returns {{server: string, tool: string, serverName: string}|null}
+ */
+function parseMcpToolName(toolName) {
+  const m = /^mcp__(.+?)__(.+)$/.exec(toolName || '');
+  if (!m) return null;
+  const server = m[1];
+  const known = MCP_SERVER_NAMES[server.toLowerCase()];
+  const serverName = known || server.charAt(0).toUpperCase() + server.slice(1);
+  return { server, tool: m[2], serverName };
+}
+
+// Input keys worth showing for an MCP call, in order of preference
+const MCP_KEY_FIELDS = ['title', 'name', 'query', 'q', 'path', 'url', 'repo', 'channel', 'issue_number', 'id'];
+
+/**
+ * Generic formatter for any mcp__server__tool call.
+ */
+function mcpFormatter(parsed) {
+  const keyArg = (input) => {
+    for (const k of MCP_KEY_FIELDS) {
+      const v = input[k];
+      if (typeof v === 'string' || typeof v === 'number') return String(v);
+    }
+    const firstString = Object.values(input).find((v) => typeof v === 'string' && v);
+    return firstString ? firstLine(firstString) : '';
+  };
+
+  return {
+    category: `mcp:${parsed.server}`,
+    label: `${parsed.serverName} call`,
+    summary: (input) => {
+      const arg = keyArg(input);
+      return cap(arg ? `${parsed.tool} ${arg}` : parsed.tool, 50);
+    },
+    detail: (input) => {
+      const args = Object.entries(input)
+        .filter(([, v]) => typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean')
+        .map(([k, v]) => `${k}=${firstLine(String(v))}`)
+        .join(', ');
+      return cap(`${parsed.serverName} ${parsed.tool}${args ? `: ${args}` : ''}`, 200);
+    },
+  };
+}
+
+/**
+ * Fallback for tools nobody has a formatter for.
+ */
+function genericFormatter(toolName) {
+  return {
+    category: `tool:${toolName}`,
+    label: `${toolName} call`,
+    summary: () => toolName,
+    detail: () => toolName,
+  };
+}
+
+let _userFormatters = null;
+
+/**
+ * Load user formatter modules once per process. Broken modules are skipped.
+ * @returns {Array<object>}
+ */
+function loadUserFormatters() {
+  if (_userFormatters) return _userFormatters;
+  _userFormatters = [];
+
+  let files = [];
+  try {
+    files = fs.readdirSync(USER_FORMATTERS_DIR).filter((f) => f.endsWith('.js')).sort();
+  } catch {
+    return _userFormatters;
+  }
+
+  for (const f of files) {
+    try {
+      const mod = require(path.join(USER_FORMATTERS_DIR, f));
+      for (const fmt of Array.isArray(mod) ? mod : [mod]) {
+        if (fmt && (Array.isArray(fmt.tools) || fmt.match)) _userFormatters.push(fmt);
+      }
+    } catch {
+      // Silent — a broken user module must never break a hook
+    }
+  }
+  return _userFormatters;
+}
+
+function userFormatterMatches(fmt, toolName) {
+  if (Array.isArray(fmt.tools) && fmt.tools.includes(toolName)) return true;
+  if (fmt.match instanceof RegExp) return fmt.match.test(toolName);
+  if (typeof fmt.match === 'function') {
+    try {
+      return !!fmt.match(toolName);
+    } catch {
+      return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find the formatter for a tool: user modules first, then built-ins, then the
+ * generic MCP formatter, then the plain fallback.
+ * @param {string} toolName
+ * @returns {{category: string, label: string, summary: Function, detail: Function}}
+ */
+function getFormatter(toolName) {
+  // Own keys only: a tool named "constructor" must not find Object.prototype members
+  const builtin =
+    (Object.hasOwn(BUILTIN_FORMATTERS, toolName) && BUILTIN_FORMATTERS[toolName]) ||
+    (parseMcpToolName(toolName) && mcpFormatter(parseMcpToolName(toolName))) ||
+    genericFormatter(toolName);
+
+  const user = loadUserFormatters().find((fmt) => userFormatterMatches(fmt, toolName));
+  if (!user) return builtin;
+
+  // Fill anything the user module leaves out from the built-in
+  return {
+    category: typeof user.category === 'string' ? user.category : builtin.category,
+    label: typeof user.label === 'string' ? user.label : builtin.label,
+    summary: typeof user.summary === 'function' ? guard(user.summary, builtin.summary) : builtin.summary,
+    detail: typeof user.detail === 'function' ? guard(user.detail, builtin.detail) : builtin.detail,
+  };
+}
+
+/**
+ * Wrap a user formatter function so throws or non-strings fall back.
+ */
+function guard(fn, fallback) {
+  return (input, toolName) => {
+    try {
+      const out = fn(input, toolName);
+      if (typeof out === 'string' && out) return out;
+    } catch {
+      // fall through
+    }
+    return fallback(input, toolName);
+  };
+}
+
+/**
+ * Category and count label for a tool, for grouping in summaries.
+ * @param {string} toolName
+ * @returns {{category: string, label: string}}
+ */
+function describeTool(toolName) {
+  const fmt = getFormatter(toolName);
+  return { category: fmt.category, label: fmt.label };
+}
+
+module.exports = {
+  getFormatter,
+  describeTool,
+  parseMcpToolName,
+  BUILTIN_FORMATTERS,
+  USER_FORMATTERS_DIR,
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// One flag file per paused session: ~/.claude/agent-monitor/paused/<sessionId>.json
+const PAUSE_DIR = path.join(os.homedir(), '.claude', 'agent-monitor', 'paused');
+
+// How long a paused session's tool call is held before being denied. Stays
+// under Claude Code's 60s hook timeout; the agent retries or stops after a deny.
+const PAUSE_HOLD_MS = 45000;
+const PAUSE_POLL_MS = 500;
+
+// Session IDs are UUIDs; anything else could escape PAUSE_DIR
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Path of a session's pause flag, or null for an unusable session ID.
+ */
+function pauseFlagPath(sessionId) {
+  if (!sessionId || !SAFE_ID.test(sessionId)) return null;
+  return path.join(PAUSE_DIR, `${sessionId}.json`);
+}
+
+/**
+ * Read a session's pause flag.
+ * @returns {{pausedAt: number, by: string}|null} null when not paused.
+ */
+function readPause(sessionId) {
+  const flagPath = pauseFlagPath(sessionId);
+  if (!flagPath) return null;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(flagPath, 'utf8'));
+    return {
+      pausedAt: typeof parsed.paused_at === 'string' ? new Date(parsed.paused_at).getTime() : 0,
+      by: typeof parsed.by === 'string' ? parsed.by : 'operator',
+    };
+  } catch (err) {
+    // A flag we can't parse still means paused
+    return err.code === 'ENOENT' ? null : { pausedAt: 0, by: 'operator' };
+  }
+}
+
+/**
+ * Wait while the session's pause flag is set.
+ * @param {string} sessionId
+ * @param {{holdMs?: number, pollMs?: number}} [options] - Defaults to PAUSE_HOLD_MS and PAUSE_POLL_MS.
+ * @returns {Promise<boolean>} true if the session was resumed within the hold time.
+ */
+function waitForResume(sessionId, options) {
+  const opts = options || {};
+  const holdMs = opts.holdMs != null ? opts.holdMs : PAUSE_HOLD_MS;
+  const pollMs = opts.pollMs || PAUSE_POLL_MS;
+  return new Promise((resolve) => {
+    const deadline = Date.now() + holdMs;
+    const timer = setInterval(() => {
+      if (!readPause(sessionId)) {
+        clearInterval(timer);
+        resolve(true);
+      } else if (Date.now() >= deadline) {
+        clearInterval(timer);
+        resolve(false);
+      }
+    }, pollMs);
+  });
+}
+
+/**
+ * Pause a session: tool calls are held, then denied, until resumed.
+ * @param {string} sessionId
+ * @param {string} [by] - Who paused it ('tui', 'web', ...), for display.
+ * @returns {boolean} false for an invalid session ID.
+ */
+function setPause(sessionId, by) {
+  const flagPath = pauseFlagPath(sessionId);
+  if (!flagPath) return false;
+  fs.mkdirSync(PAUSE_DIR, { recursive: true });
+  const data = { paused_at: new Date().toISOString(), by: by || 'operator' };
+  fs.writeFileSync(flagPath, JSON.stringify(data) + '\n', 'utf8');
+  return true;
+}
+
+/**
+ * Resume a session by removing its pause flag.
+ * @returns {boolean} true if the session was paused.
+ */
+function clearPause(sessionId) {
+  const flagPath = pauseFlagPath(sessionId);
+  if (!flagPath) return false;
+  try {
+    fs.unlinkSync(flagPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { readPause, waitForResume, setPause, clearPause, PAUSE_DIR, PAUSE_HOLD_MS };
@@ -0,0 +1,148 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const POLICY_PATH = path.join(os.homedir(), '.claude', 'agent-monitor', 'policy.json');
+
+// When several rules match, the strictest decision wins
+const DECISIONS = ['deny', 'ask', 'allow'];
+
+// Input fields holding a file path, resolved against the session cwd before matching
+const PATH_FIELDS = new Set(['file_path', 'notebook_path', 'path']);
+
+/*
+ * policy.json holds an ordered list of rules:
+ *
+ *   { "rules": [
+ *       { "id": "no-force-push", "decision": "deny", "tool": "Bash",
+ *         "match": { "command": "git\\s+push\\b.*(--force|-f)\\b.*\\bmain\\b" },
+ *         "reason": "Force-pushing main is not allowed" }
+ *   ] }
+ *
+ *   decision  'deny' | 'ask' | 'allow'
+ *   tool      regex for the tool name, anchored ("Bash", "Write|Edit|MultiEdit");
+ *             omitted or "*" matches every tool
+ *   match     { field: regex } — every listed tool_input field must match;
+ *             the field "*" matches any string value in the input
+ *   unless    { field: regex } — the rule is skipped if any of these match
+ *   reason    shown to Claude (deny) or the user (ask)
+ *
+ * Patterns may use $HOME and $CWD, which expand to the (regex-escaped) home
+ * directory and session working directory.
+ */
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load policy.json. Returns { rules } or null when there is no usable policy,
+ * so the guard stays a no-op until a file is created.
+ * @param {string} [filePath] - Policy file to read (defaults to POLICY_PATH).
+ */
+function loadPolicy(filePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath || POLICY_PATH, 'utf8'));
+    const rules = Array.isArray(parsed && parsed.rules) ? parsed.rules : [];
+    return rules.some(isValidRule) ? { rules } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A rule needs at least a known decision; anything else is ignored.
+ */
+function isValidRule(rule) {
+  return !!rule && typeof rule === 'object' && DECISIONS.includes(rule.decision);
+}
+
+/**
+ * Compile a rule pattern with $HOME/$CWD expanded. Returns null if invalid.
+ */
+function compilePattern(pattern, context) {
+  if (typeof pattern !== 'string') return null;
+  const source = pattern
+    .replace(/\$HOME\b/g, escapeRegex(os.homedir()))
+    .replace(/\$CWD\b/g, escapeRegex(context.cwd || ''));
+  try {
+    return new RegExp(source);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Values a field condition is tested against. Path fields are resolved to
+ * absolute paths so "$HOME/\\.ssh/" also catches "~/.ssh" and relative paths.
+ */
+function fieldValues(toolInput, field, context) {
+  if (field === '*') {
+    return Object.values(toolInput).filter((v) => typeof v === 'string');
+  }
+  const value = toolInput[field];
+  if (typeof value !== 'string') return [];
+  if (PATH_FIELDS.has(field)) {
+    const expanded = value.replace(/^~(?=\/|$)/, os.homedir());
+    return [path.resolve(context.cwd || process.cwd(), expanded)];
+  }
+  return [value];
+}
+
+/**
+ * Test a { field: pattern } map. mode 'all' needs every field to match,
+ * mode 'any' needs one. Invalid patterns never match.
+ */
+function testConditions(conditions, toolInput, context, mode) {
+  const entries = Object.entries(conditions || {});
+  if (entries.length === 0) return mode === 'all';
+  const test = ([field, pattern]) => {
+    const re = compilePattern(pattern, context);
+    return !!re && fieldValues(toolInput, field, context).some((v) => re.test(v));
+  };
+  return mode === 'all' ? entries.every(test) : entries.some(test);
+}
+
+/**
+ * Check whether one rule applies to a tool call.
+ */
+function ruleMatches(rule, toolName, toolInput, context) {
+  if (rule.tool && rule.tool !== '*') {
+    const re = compilePattern(`^(?:${rule.tool})$`, context);
+    if (!re || !re.test(toolName)) return false;
+  }
+  if (!testConditions(rule.match, toolInput, context, 'all')) return false;
+  return !testConditions(rule.unless, toolInput, context, 'any');
+}
+
+/**
+ * Evaluate the policy for a tool call.
+ * @param {{rules: Array}} policy - From loadPolicy().
+ * @param {string} toolName - Tool being called.
+ * @param {object} toolInput - Its input.
+ * @param {{cwd?: string}} [context] - Session context for $CWD and relative paths.
+ * @returns {{decision: string, reason: string, rule: string}|null}
+ *   The strictest matching decision (deny > ask > allow), or null if no rule matches.
+ */
+function evaluatePolicy(policy, toolName, toolInput, context) {
+  if (!policy || !Array.isArray(policy.rules)) return null;
+  const ctx = context || {};
+  const input = toolInput && typeof toolInput === 'object' ? toolInput : {};
+
+  let best = null;
+  policy.rules.forEach((rule, i) => {
+    if (!isValidRule(rule) || !ruleMatches(rule, toolName || '', input, ctx)) return;
+    if (best && DECISIONS.indexOf(best.rule.decision) <= DECISIONS.indexOf(rule.decision)) return;
+    best = { rule, index: i };
+  });
+  if (!best) return null;
+
+  const id = best.rule.id || `rule #${best.index + 1}`;
+  return {
+    decision: best.rule.decision,
+    reason: best.rule.reason || `Matched policy ${id}`,
+    rule: id,
+  };
+}
+
+module.exports = { loadPolicy, evaluatePolicy, POLICY_PATH, DECISIONS };
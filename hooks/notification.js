@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+'use strict';
+
+const { readStdin, writeEvent, getAgentName } = require('./lib/shared');
+const { archiveEvent } = require('./lib/archiver');
+
+/**
+ * Map a Notification hook payload to a monitor event name.
+ * Prefers the notification_type field; falls back to matching the message
+ * text for Claude Code versions that only send `message`.
+ * Returns null for notifications the monitor does not track.
+ */
+function classifyNotification(input) {
+  const type = input.notification_type || '';
+  const message = input.message || '';
+
+  if (type === 'permission_prompt' || /permission/i.test(message)) {
+    return 'permission_request';
+  }
+  if (type === 'idle_prompt' || /waiting for your input/i.test(message)) {
+    return 'idle_prompt';
+  }
+  return null;
+}
+
+async function main() {
+  const input = await readStdin();
+  if (!input || !input.session_id) {
+    process.exit(0);
+  }
+
+  const eventName = classifyNotification(input);
+  if (!eventName) {
+    process.exit(0);
+  }
+
+  const { session_id, message } = input;
+
+  const event = {
+    ts: new Date().toISOString(),
+    event: eventName,
+    session_id,
+    agent_name: getAgentName(session_id),
+    message: message || '',
+  };
+
+  writeEvent(session_id, event);
+
+  try { archiveEvent(session_id, event); } catch { /* silent */ }
+
+  process.exit(0);
+}
+
+main().catch(() => process.exit(0));
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const { loadPolicy, evaluatePolicy, POLICY_PATH } = require('./lib/policy');
+const { readPause, waitForResume, PAUSE_DIR } = require('./lib/pause');
+
+/**
+ * Whether any session has a pause flag. A cheap directory read, so the common
+ * case can skip parsing stdin.
+ */
+function anyPaused() {
+  try {
+    return fs.readdirSync(PAUSE_DIR).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+// Every tool call waits on this hook: with no policy and nothing paused,
+// exit before loading the shared helpers
+if (!fs.existsSync(POLICY_PATH) && !anyPaused()) {
+  process.exit(0);
+}
+
+const { readStdin, writeEvent, getAgentName, summarizeTool } = require('./lib/shared');
+const { archiveEvent } = require('./lib/archiver');
+
+const PAUSED_DECISION = {
+  decision: 'deny',
+  reason: 'Paused by operator — wait for the session to be resumed before continuing',
+  rule: 'operator-pause',
+};
+
+/**
+ * Synchronous PreToolUse hook: holds tool calls of a paused session, and
+ * checks the rest against policy.json, answering with a permission decision.
+ * Without a pause flag or policy file, or on any error, it prints nothing and
+ * Claude Code's normal permission flow applies.
+ */
+async function main() {
+  const input = await readStdin();
+  if (!input || !input.session_id) {
+    process.exit(0);
+  }
+
+  const { session_id, tool_name, tool_input, tool_use_id, cwd } = input;
+  const name = tool_name || 'unknown';
+
+  let result = null;
+  if (readPause(session_id) && !(await waitForResume(session_id))) {
+    result = PAUSED_DECISION;
+  } else {
+    const policy = loadPolicy();
+    result = policy ? evaluatePolicy(policy, name, tool_input, { cwd }) : null;
+  }
+  if (!result) {
+    process.exit(0);
+  }
+
+  const event = {
+    ts: new Date().toISOString(),
+    event: 'policy_decision',
+    session_id,
+    agent_name: getAgentName(session_id),
+    tool_name: name,
+    tool_summary: summarizeTool(name, tool_input),
+    decision: result.decision,
+    reason: result.reason,
+    rule: result.rule,
+  };
+
+  if (tool_use_id) {
+    event.tool_use_id = tool_use_id;
+  }
+
+  try { writeEvent(session_id, event); } catch { /* the decision still applies */ }
+
+  try { archiveEvent(session_id, event); } catch { /* silent */ }
+
+  // Write synchronously: process.exit() can cut off an async pipe write
+  fs.writeSync(1, JSON.stringify({
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: result.decision,
+      permissionDecisionReason: result.reason,
+    },
+  }));
+
+  process.exit(0);
+}
+
+main().catch(() => process.exit(0));
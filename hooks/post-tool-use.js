@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 'use strict';
 
-const { readStdin, writeEvent, getAgentName, summarizeTool, detailTool, briefResult } = require('./lib/shared');
+const { readStdin, writeEvent, getAgentName, toolUseFields } = require('./lib/shared');
 const { archiveEvent } = require('./lib/archiver');
 
 async function main() {
@@ -10,26 +10,16 @@ async function main() {
     process.exit(0);
   }
 
-  const { session_id, tool_name, tool_input } = input;
-  const name = tool_name || 'unknown';
-
-  // Capture tool result if available (PostToolUse hook provides it)
-  const resultBrief = briefResult(input.tool_result || input.tool_response || '');
+  const { session_id } = input;
 
   const event = {
     ts: new Date().toISOString(),
     event: 'tool_use',
     session_id,
     agent_name: getAgentName(session_id),
-    tool_name: name,
-    tool_summary: summarizeTool(name, tool_input),
-    tool_detail: detailTool(name, tool_input),
+    ...toolUseFields(input),
   };
 
-  if (resultBrief) {
-    event.tool_result_brief = resultBrief;
-  }
-
   writeEvent(session_id, event);
 
   try { archiveEvent(session_id, event); } catch { /* silent */ }
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+'use strict';
+
+const { readStdin, writeEvent, getAgentName } = require('./lib/shared');
+const { archiveEvent } = require('./lib/archiver');
+
+async function main() {
+  const input = await readStdin();
+  if (!input || !input.session_id) {
+    process.exit(0);
+  }
+
+  const { session_id, trigger } = input;
+
+  const event = {
+    ts: new Date().toISOString(),
+    event: 'compact',
+    session_id,
+    agent_name: getAgentName(session_id),
+    // 'manual' for /compact, 'auto' when the context window filled up
+    trigger: trigger === 'manual' ? 'manual' : 'auto',
+  };
+
+  writeEvent(session_id, event);
+
+  try { archiveEvent(session_id, event); } catch { /* silent */ }
+
+  process.exit(0);
+}
+
+main().catch(() => process.exit(0));
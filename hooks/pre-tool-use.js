@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+'use strict';
+
+const { readStdin, writeEvent, getAgentName, summarizeTool, detailTool } = require('./lib/shared');
+const { archiveEvent } = require('./lib/archiver');
+
+async function main() {
+  const input = await readStdin();
+  if (!input || !input.session_id) {
+    process.exit(0);
+  }
+
+  const { session_id, tool_name, tool_input, tool_use_id } = input;
+  const name = tool_name || 'unknown';
+
+  const event = {
+    ts: new Date().toISOString(),
+    event: 'tool_start',
+    session_id,
+    agent_name: getAgentName(session_id),
+    tool_name: name,
+    tool_summary: summarizeTool(name, tool_input),
+    tool_detail: detailTool(name, tool_input),
+  };
+
+  // Lets the dashboard pair this start with its PostToolUse event
+  if (tool_use_id) {
+    event.tool_use_id = tool_use_id;
+  }
+
+  writeEvent(session_id, event);
+
+  try { archiveEvent(session_id, event); } catch { /* silent */ }
+
+  process.exit(0);
+}
+
+main().catch(() => process.exit(0));
@@ -1,8 +1,9 @@
 #!/usr/bin/env node
 'use strict';
 
-const { readStdin, writeEvent, getAgentName } = require('./lib/shared');
+const { readStdin, writeEvent, getAgentName, getGitInfo } = require('./lib/shared');
 const { archiveEvent } = require('./lib/archiver');
+const { clearPause } = require('./lib/pause');
 
 async function main() {
   const input = await readStdin();
@@ -10,7 +11,7 @@ async function main() {
     process.exit(0);
   }
 
-  const { session_id, reason } = input;
+  const { session_id, reason, cwd } = input;
 
   const event = {
     ts: new Date().toISOString(),
@@ -18,12 +19,17 @@ async function main() {
     session_id,
     agent_name: getAgentName(session_id),
     reason: reason || 'unknown',
+    // Git state again, so exports can show the commit range the session covered
+    ...getGitInfo(cwd || process.cwd()),
   };
 
   writeEvent(session_id, event);
 
   try { archiveEvent(session_id, event); } catch { /* silent */ }
 
+  // A pause flag is meaningless once the session is gone
+  clearPause(session_id);
+
   process.exit(0);
 }
 
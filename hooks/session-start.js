@@ -2,7 +2,7 @@
 'use strict';
 
 const { execSync } = require('child_process');
-const { readStdin, writeEvent, getAgentName } = require('./lib/shared');
+const { readStdin, writeEvent, getAgentName, getGitInfo, getAgentProcess } = require('./lib/shared');
 const { getArchiveBasePath, initArchive } = require('./lib/archiver');
 
 /**
@@ -37,19 +37,28 @@ async function main() {
 
   const { session_id, cwd, source, model } = input;
   const tmux = getTmuxInfo();
+  const dir = cwd || process.cwd();
 
   const event = {
     ts: new Date().toISOString(),
     event: 'session_start',
     session_id,
     agent_name: getAgentName(session_id),
-    cwd: cwd || process.cwd(),
+    cwd: dir,
     model: model || 'unknown',
     source: source || 'unknown',
     tmux_pane: tmux.tmux_pane,
     tmux_window: tmux.tmux_window,
+    ...getGitInfo(dir),
+    ...getAgentProcess(),
   };
 
+  // Launch scripts can name their agents: CAM_AGENT_NAME=reviewer claude ...
+  const label = (process.env.CAM_AGENT_NAME || '').replace(/\s+/g, ' ').trim().slice(0, 40);
+  if (label) {
+    event.agent_label = label;
+  }
+
   writeEvent(session_id, event);
 
   // Archive: create file + mapping
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+'use strict';
+
+const { readStdin, writeEvent, getAgentName } = require('./lib/shared');
+const { archiveEvent } = require('./lib/archiver');
+
+async function main() {
+  const input = await readStdin();
+  if (!input || !input.session_id) {
+    process.exit(0);
+  }
+
+  const { session_id, agent_id, agent_transcript_path } = input;
+
+  const event = {
+    ts: new Date().toISOString(),
+    event: 'subagent_stop',
+    session_id,
+    agent_name: getAgentName(session_id),
+  };
+
+  // Newer Claude Code versions identify the sub-agent and its own transcript
+  if (agent_id) {
+    event.agent_id = agent_id;
+  }
+  if (agent_transcript_path) {
+    event.agent_transcript_path = agent_transcript_path;
+  }
+
+  writeEvent(session_id, event);
+
+  try { archiveEvent(session_id, event); } catch { /* silent */ }
+
+  process.exit(0);
+}
+
+main().catch(() => process.exit(0));
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+'use strict';
+
+const { readStdin, readConfig, writeEvent, getAgentName, capPrompt } = require('./lib/shared');
+const { archiveEvent } = require('./lib/archiver');
+
+async function main() {
+  const input = await readStdin();
+  if (!input || !input.session_id) {
+    process.exit(0);
+  }
+
+  const { session_id, prompt } = input;
+  if (!prompt) {
+    process.exit(0);
+  }
+
+  const { text, truncated } = capPrompt(prompt, readConfig().promptMaxLength);
+
+  const event = {
+    ts: new Date().toISOString(),
+    event: 'user_prompt',
+    session_id,
+    agent_name: getAgentName(session_id),
+    prompt: text,
+  };
+
+  if (truncated) {
+    event.prompt_truncated = true;
+  }
+
+  writeEvent(session_id, event);
+
+  try { archiveEvent(session_id, event); } catch { /* silent */ }
+
+  process.exit(0);
+}
+
+main().catch(() => process.exit(0));